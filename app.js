@@ -27,6 +27,10 @@ app.use("/api", require("./routes/api"));
 // Error handling
 app.use((err, req, res, next) => {
   console.error(err.stack);
+  // Client errors raised by middleware (e.g. body too large) keep their status
+  if (err.status && err.status < 500 && err.expose) {
+    return res.status(err.status).json({ error: err.message });
+  }
   res.status(500).json({ error: "Something broke!" });
 });
 
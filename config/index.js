@@ -15,16 +15,81 @@ module.exports = {
     secret: process.env.JWT_SECRET,
     expiresIn: "1h",
   },
+  service: {
+    // Signs tokens for the processing pipeline, must differ from jwt.secret
+    secret: process.env.SERVICE_JWT_SECRET,
+    audience: "psytools-service",
+  },
+  downloadLinks: {
+    // Lifetime of signed download links, in seconds
+    defaultExpiresIn: 300,
+    maxExpiresIn: parseInt(process.env.DOWNLOAD_LINK_MAX_SECONDS || "900"),
+    maxUses: parseInt(process.env.DOWNLOAD_LINK_MAX_USES || "10"),
+  },
+  fileShares: {
+    // External share links for single study files, lifetime in days
+    defaultExpiresDays: 7,
+    maxExpiresDays: parseInt(process.env.FILE_SHARE_MAX_DAYS || "90"),
+    defaultMaxDownloads: 10,
+    maxDownloads: parseInt(process.env.FILE_SHARE_MAX_DOWNLOADS || "100"),
+  },
   server: {
     port: parseInt(process.env.PORT || "3000"),
   },
   files: {
     datasets: {
       path: process.env.DATASET_FILES_PATH || "/var/psytools/datasets/",
+      // Converted downloads, keyed by checksum; safe to clear at any time
+      conversionCachePath:
+        process.env.DATASET_CONVERSION_CACHE_PATH ||
+        "/var/psytools/dataset-conversions/",
+      // Study-wide files filtered down to a sample admin's samples
+      filteredCachePath:
+        process.env.DATASET_FILTERED_CACHE_PATH ||
+        "/var/psytools/dataset-filtered/",
+      // Header names of the participant column, compared ignoring case,
+      // spaces and punctuation
+      participantColumns: (
+        process.env.DATASET_PARTICIPANT_COLUMNS || "user_code"
+      ).split(","),
+      // Previous versions of files replaced through the ingest API
+      versionsPath:
+        process.env.DATASET_VERSIONS_PATH || "/var/psytools/dataset-versions/",
+      // Keep a version while it is one of the newest keepLast, or was
+      // replaced within keepDays
+      versionRetention: {
+        keepLast: parseInt(process.env.DATASET_VERSIONS_KEEP_LAST || "10"),
+        keepDays: parseInt(process.env.DATASET_VERSIONS_KEEP_DAYS || "90"),
+      },
+      ingest: {
+        maxFileSize: parseInt(
+          process.env.DATASET_INGEST_MAX_BYTES || String(2 * 1024 * 1024 * 1024)
+        ),
+        allowedExtensions: [".csv", ".tsv", ".txt", ".json", ".zip"],
+      },
+      // Content-addressed store of frozen dataset snapshots
+      snapshotsPath:
+        process.env.DATASET_SNAPSHOTS_PATH ||
+        "/var/psytools/dataset-snapshots/",
     },
     study: {
       path: process.env.STUDY_FILES_PATH || "/var/psytools/study-files/",
       roles: ["ADMIN", "RESEARCHER", "CLINICIAN"], // Define allowed role folders
+      upload: {
+        maxFileSize: parseInt(
+          process.env.STUDY_UPLOAD_MAX_BYTES || String(100 * 1024 * 1024)
+        ),
+        allowedExtensions: (
+          process.env.STUDY_UPLOAD_EXTENSIONS ||
+          ".pdf,.doc,.docx,.xls,.xlsx,.csv,.txt,.md,.json,.png,.jpg,.jpeg,.gif"
+        )
+          .split(",")
+          .map((ext) => ext.trim().toLowerCase()),
+      },
+      // Downscaled previews of study images, keyed by file version and size
+      thumbnailCachePath:
+        process.env.STUDY_THUMBNAIL_CACHE_PATH ||
+        "/var/psytools/study-thumbnails/",
     },
   },
 };
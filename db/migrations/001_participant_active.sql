@@ -0,0 +1,4 @@
+-- Soft-deactivation of participants (POST /api/participants/:userId/deactivate)
+ALTER TABLE fw_psy_user
+  ADD COLUMN IF NOT EXISTS active boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS deactivated_time timestamp;
@@ -0,0 +1,4 @@
+-- Archiving of samples (POST /api/studies/:studyId/samples/:sampleId/archive)
+ALTER TABLE fw_psy_sample
+  ADD COLUMN IF NOT EXISTS archived boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS archived_time timestamp;
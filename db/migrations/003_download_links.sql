@@ -0,0 +1,27 @@
+-- Short-lived signed download links (POST /api/datasets/:fileId/link,
+-- POST /api/studies/:studyId/files/links, GET /api/downloads/:token)
+CREATE TABLE IF NOT EXISTS fw_psy_download_link (
+  link_id uuid PRIMARY KEY,
+  user_id text NOT NULL,
+  study_id text NOT NULL,
+  file_type text NOT NULL CHECK (file_type IN ('dataset', 'study')),
+  dataset_file_id text,
+  file_path text NOT NULL,
+  max_uses integer NOT NULL DEFAULT 1,
+  use_count integer NOT NULL DEFAULT 0,
+  expires_time timestamp NOT NULL,
+  created_time timestamp NOT NULL DEFAULT NOW(),
+  revoked_time timestamp,
+  revoked_by text
+);
+
+CREATE INDEX IF NOT EXISTS fw_psy_download_link_study_idx
+  ON fw_psy_download_link (study_id, created_time DESC);
+
+CREATE TABLE IF NOT EXISTS fw_psy_download_link_use (
+  link_use_id serial PRIMARY KEY,
+  link_id uuid NOT NULL REFERENCES fw_psy_download_link (link_id),
+  redeemed_time timestamp NOT NULL DEFAULT NOW(),
+  ip_address text,
+  user_agent text
+);
@@ -0,0 +1,11 @@
+-- Cached SHA-256 checksums of files on disk, keyed by storage root and path
+-- relative to it. A row is only valid while size and mtime still match.
+CREATE TABLE IF NOT EXISTS fw_psy_file_checksum (
+  root text NOT NULL,
+  file_path text NOT NULL,
+  size bigint NOT NULL,
+  mtime_ms bigint NOT NULL,
+  sha256 text NOT NULL,
+  computed_time timestamp NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (root, file_path)
+);
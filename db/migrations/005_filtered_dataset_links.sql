@@ -0,0 +1,8 @@
+-- Download links to study-wide dataset files filtered to a sample admin's
+-- samples, served from DATASET_FILTERED_CACHE_PATH
+ALTER TABLE fw_psy_download_link
+  DROP CONSTRAINT IF EXISTS fw_psy_download_link_file_type_check;
+
+ALTER TABLE fw_psy_download_link
+  ADD CONSTRAINT fw_psy_download_link_file_type_check
+  CHECK (file_type IN ('dataset', 'dataset_filtered', 'study'));
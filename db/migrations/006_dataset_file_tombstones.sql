@@ -0,0 +1,30 @@
+-- Tombstones for rows deleted from fw_psy_dataset_file, so the change feed
+-- (GET /api/datasets?since=) can tell mirrors which files to remove
+CREATE TABLE IF NOT EXISTS fw_psy_dataset_file_tombstone (
+  tombstone_id serial PRIMARY KEY,
+  dataset_file_id text NOT NULL,
+  study_id text NOT NULL,
+  sample_id text,
+  task_id text,
+  filename text NOT NULL,
+  deleted_time timestamp NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS fw_psy_dataset_file_tombstone_deleted_idx
+  ON fw_psy_dataset_file_tombstone (deleted_time);
+
+CREATE OR REPLACE FUNCTION fw_psy_dataset_file_tombstone() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO fw_psy_dataset_file_tombstone
+    (dataset_file_id, study_id, sample_id, task_id, filename)
+  VALUES
+    (OLD.dataset_file_id::text, OLD.study_id::text, OLD.sample_id::text,
+     OLD.task_id::text, OLD.filename);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS fw_psy_dataset_file_tombstone_trg ON fw_psy_dataset_file;
+CREATE TRIGGER fw_psy_dataset_file_tombstone_trg
+  AFTER DELETE ON fw_psy_dataset_file
+  FOR EACH ROW EXECUTE FUNCTION fw_psy_dataset_file_tombstone();
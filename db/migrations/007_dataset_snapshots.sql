@@ -0,0 +1,49 @@
+-- Immutable dataset snapshots (POST /api/snapshots). File contents live in
+-- a content-addressed store under DATASET_SNAPSHOTS_PATH, these tables
+-- record what each snapshot holds.
+CREATE TABLE IF NOT EXISTS fw_psy_dataset_snapshot (
+  snapshot_id uuid PRIMARY KEY,
+  study_id text NOT NULL,
+  name text NOT NULL,
+  description text,
+  selection jsonb NOT NULL,
+  file_count integer NOT NULL,
+  total_size bigint NOT NULL,
+  manifest_sha256 text NOT NULL,
+  created_by text NOT NULL,
+  created_time timestamp NOT NULL DEFAULT NOW(),
+  UNIQUE (study_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS fw_psy_dataset_snapshot_file (
+  snapshot_id uuid NOT NULL REFERENCES fw_psy_dataset_snapshot (snapshot_id),
+  dataset_file_id text NOT NULL,
+  filename text NOT NULL,
+  sha256 text NOT NULL,
+  size bigint NOT NULL,
+  task_id text,
+  task_title text,
+  digest_def_id text,
+  sample_id text,
+  updated_time timestamp,
+  PRIMARY KEY (snapshot_id, dataset_file_id)
+);
+
+-- Snapshots are write-once: reject any later change to their rows
+CREATE OR REPLACE FUNCTION fw_psy_dataset_snapshot_immutable() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'Dataset snapshots cannot be modified (%)', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS fw_psy_dataset_snapshot_immutable_trg
+  ON fw_psy_dataset_snapshot;
+CREATE TRIGGER fw_psy_dataset_snapshot_immutable_trg
+  BEFORE UPDATE OR DELETE ON fw_psy_dataset_snapshot
+  FOR EACH ROW EXECUTE FUNCTION fw_psy_dataset_snapshot_immutable();
+
+DROP TRIGGER IF EXISTS fw_psy_dataset_snapshot_file_immutable_trg
+  ON fw_psy_dataset_snapshot_file;
+CREATE TRIGGER fw_psy_dataset_snapshot_file_immutable_trg
+  BEFORE UPDATE OR DELETE ON fw_psy_dataset_snapshot_file
+  FOR EACH ROW EXECUTE FUNCTION fw_psy_dataset_snapshot_immutable();
@@ -0,0 +1,17 @@
+-- Previous versions of dataset files replaced through the ingest API
+-- (POST /api/ingest/datasets), kept under DATASET_VERSIONS_PATH
+CREATE TABLE IF NOT EXISTS fw_psy_dataset_file_version (
+  version_id serial PRIMARY KEY,
+  dataset_file_id text NOT NULL,
+  study_id text NOT NULL,
+  filename text NOT NULL,
+  version_path text NOT NULL,
+  size bigint NOT NULL,
+  sha256 text NOT NULL,
+  updated_time timestamp,
+  replaced_time timestamp NOT NULL DEFAULT NOW(),
+  replaced_by text
+);
+
+CREATE INDEX IF NOT EXISTS fw_psy_dataset_file_version_file_idx
+  ON fw_psy_dataset_file_version (dataset_file_id, replaced_time DESC);
@@ -0,0 +1,16 @@
+-- Descriptive metadata of files under STUDY_FILES_PATH, keyed by study and
+-- path relative to the study folder (PUT /api/studies/:studyId/files/metadata)
+CREATE TABLE IF NOT EXISTS fw_psy_study_file_metadata (
+  study_id text NOT NULL,
+  file_path text NOT NULL,
+  title text,
+  description text,
+  tags text[] NOT NULL DEFAULT '{}',
+  is_current boolean NOT NULL DEFAULT false,
+  updated_time timestamp NOT NULL DEFAULT NOW(),
+  updated_by text,
+  PRIMARY KEY (study_id, file_path)
+);
+
+CREATE INDEX IF NOT EXISTS fw_psy_study_file_metadata_tags_idx
+  ON fw_psy_study_file_metadata USING gin (tags);
@@ -0,0 +1,27 @@
+-- External share links for single study files
+-- (POST /api/studies/:studyId/files/shares, GET /api/shared/:token)
+CREATE TABLE IF NOT EXISTS fw_psy_file_share (
+  share_id uuid PRIMARY KEY,
+  created_by text NOT NULL,
+  study_id text NOT NULL,
+  file_path text NOT NULL,
+  note text,
+  password_hash text,
+  max_downloads integer NOT NULL,
+  download_count integer NOT NULL DEFAULT 0,
+  expires_time timestamp NOT NULL,
+  created_time timestamp NOT NULL DEFAULT NOW(),
+  revoked_time timestamp,
+  revoked_by text
+);
+
+CREATE INDEX IF NOT EXISTS fw_psy_file_share_study_idx
+  ON fw_psy_file_share (study_id, created_time DESC);
+
+CREATE TABLE IF NOT EXISTS fw_psy_file_share_download (
+  share_download_id serial PRIMARY KEY,
+  share_id uuid NOT NULL REFERENCES fw_psy_file_share (share_id),
+  downloaded_time timestamp NOT NULL DEFAULT NOW(),
+  ip_address text,
+  user_agent text
+);
@@ -0,0 +1,25 @@
+-- Snapshots are created in the background (POST /api/snapshots); each run
+-- is tracked here, with its progress, until its snapshot is recorded
+CREATE TABLE IF NOT EXISTS fw_psy_dataset_snapshot_job (
+  job_id uuid PRIMARY KEY,
+  study_id text NOT NULL,
+  name text NOT NULL,
+  description text,
+  selection jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'complete', 'failed')),
+  file_count integer NOT NULL,
+  files_copied integer NOT NULL DEFAULT 0,
+  snapshot_id uuid REFERENCES fw_psy_dataset_snapshot (snapshot_id),
+  error text,
+  created_by text NOT NULL,
+  created_time timestamp NOT NULL DEFAULT NOW(),
+  -- Bumped as files are copied, so jobs that stopped can be told apart
+  updated_time timestamp NOT NULL DEFAULT NOW(),
+  finished_time timestamp
+);
+
+-- Only one job at a time can be creating a snapshot of a given name
+CREATE UNIQUE INDEX IF NOT EXISTS fw_psy_dataset_snapshot_job_running_idx
+  ON fw_psy_dataset_snapshot_job (study_id, name)
+  WHERE status = 'running';
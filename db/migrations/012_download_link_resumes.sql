@@ -0,0 +1,5 @@
+-- Requests resuming a download a link was already used for are recorded
+-- without using up the link (GET /api/downloads/:token)
+ALTER TABLE fw_psy_download_link_use
+  ADD COLUMN IF NOT EXISTS range_start bigint,
+  ADD COLUMN IF NOT EXISTS counted boolean NOT NULL DEFAULT true;
@@ -230,6 +230,52 @@ const validateDataAccessToken = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware factory validating service tokens used by the processing
+ * pipeline. These are JWTs signed with their own secret and audience, so a
+ * human data access token can never pass as one, and they carry a `scope`
+ * array naming what the service may do.
+ * @param {string} scope - Scope the route requires, e.g. "datasets:ingest"
+ * @returns {Function} Express middleware setting req.service
+ */
+const validateServiceToken = (scope) => (req, res, next) => {
+  if (!config.service.secret || config.service.secret === config.jwt.secret) {
+    console.error("SERVICE_JWT_SECRET is missing or reuses JWT_SECRET");
+    return res.status(503).json({ error: "Service access not configured" });
+  }
+
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) {
+    return res.status(401).json({ error: "No token provided" });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.service.secret, {
+      audience: config.service.audience,
+      clockTolerance: 60,
+    });
+
+    if (
+      !decoded.serviceId ||
+      !Array.isArray(decoded.scope) ||
+      !decoded.scope.includes(scope)
+    ) {
+      console.log("Service token lacks scope:", {
+        serviceId: decoded.serviceId,
+        scope,
+      });
+      return res.status(403).json({ error: "Insufficient scope" });
+    }
+
+    req.service = { id: decoded.serviceId, scope: decoded.scope };
+    console.log("Service authenticated:", req.service.id);
+    next();
+  } catch (error) {
+    console.error("Service token verification error:", error.message);
+    return res.status(403).json({ error: "Invalid token" });
+  }
+};
+
 // Middleware to authenticate requests
 const authenticateUser = (req, res, next) => {
   console.log("==== AUTH MIDDLEWARE DEBUG ====");
@@ -301,7 +347,9 @@ const authenticateUser = (req, res, next) => {
 
 module.exports = {
   validateDataAccessToken,
+  validateServiceToken,
   authenticateUser,
   User,
   ROLES_CONST,
+  ROLE_PERMISSIONS,
 };
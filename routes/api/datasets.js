@@ -2,128 +2,313 @@ const express = require("express");
 const router = express.Router();
 const { Pool } = require("pg");
 const config = require("../../config");
-const { ROLES } = require("../../constants");
 const path = require("path");
 const fs = require("fs");
 const { promisify } = require("util");
 const stat = promisify(fs.stat);
-const jwt = require("jsonwebtoken");
-const { User } = require("../../middleware/auth");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const archiver = require("archiver");
+const { buildDatasetAccessClause } = require("../../utils/access");
+const { sendFile } = require("../../utils/fileResponse");
+const { createDownloadLink } = require("../../utils/downloadLinks");
+const {
+  digestHeaders,
+  getCachedChecksums,
+  getChecksum,
+  hashFile,
+  isChecksumFresh,
+  queueChecksum,
+  storeChecksum,
+} = require("../../utils/checksums");
+const { getVisibleSampleIds, hasStudyRole } = require("../../utils/access");
+const { previewDelimitedFile } = require("../../utils/tabularPreview");
+const {
+  CONVERSION_FORMATS,
+  conversionCachePath,
+  resolveConversionFormat,
+  sourceFormatFor,
+  streamConversion,
+} = require("../../utils/datasetConversion");
+const {
+  findFilteredFile,
+  getFilteredFile,
+  queueFilteredFile,
+} = require("../../utils/datasetFilter");
+const createError = require("http-errors");
+const { pruneVersions } = require("../../utils/datasetVersions");
+const { resolveSandboxedPath } = require("../../utils/fileSandbox");
 
 const pool = new Pool(config.db);
 
-/* GET dataset files listing with metadata */
-router.get("/", async (req, res) => {
-  try {
-    if (!req.user.permissions.includes("READ_DATASETS")) {
-      return res.status(403).json({ error: "Insufficient permissions" });
-    }
+// Checksum cache key for files under DATASET_FILES_PATH
+const CHECKSUM_ROOT = "datasets";
 
-    const queryParts = req.user.studyAccess.map((access, idx) => {
-      const param = `$${idx + 1}`;
-      if (ROLES[access.role] === ROLES.STUDY_ADMIN) {
-        return `(df.study_id = ${param})`;
-      } else if (access.role === "SAMPLE_ADMIN") {
-        return `(df.study_id = ${param} AND 
-          (df.sample_id IS NULL OR df.sample_id::text = ANY($${
-            idx + 1 + req.user.studyAccess.length
-          }::text[])))`;
-      }
-      return `(df.study_id = ${param})`;
-    });
+// Maximum number of files in one ZIP bundle
+const BUNDLE_MAX_FILES = 500;
 
-    // Prepare parameters with proper type casting for arrays
-    const params = [...req.user.studyAccess.map((access) => access.studyId)];
-
-    // For sample admins, we need to handle the array parameters differently
-    // First, let's modify the query parts to use a different approach
-    const sampleAdminQueryParts = req.user.studyAccess
-      .filter((access) => access.role === "SAMPLE_ADMIN")
-      .map((access, idx) => {
-        // For each sample ID, create a separate condition
-        if (Array.isArray(access.sampleIds) && access.sampleIds.length > 0) {
-          const sampleConditions = access.sampleIds.map(
-            (sampleId, sampleIdx) => {
-              const paramIndex = params.length + 1;
-              params.push(sampleId.toString()); // Add the sample ID as a string parameter
-              return `(df.sample_id::text = $${paramIndex})`;
-            }
-          );
+// Rows returned by the tabular preview
+const PREVIEW_DEFAULT_ROWS = 20;
+const PREVIEW_MAX_ROWS = 500;
 
-          // Join all sample conditions with OR
-          return `(df.study_id = $${
-            req.user.studyAccess.indexOf(access) + 1
-          } AND (df.sample_id IS NULL OR ${sampleConditions.join(" OR ")}))`;
-        } else {
-          // If no sample IDs, just check the study ID
-          return `(df.study_id = $${req.user.studyAccess.indexOf(access) + 1})`;
-        }
-      });
+/**
+ * Query the dataset files the user can access, with their latest task
+ * instance and sample details. Extra conditions on the `df` alias can be
+ * passed along with the parameters they reference.
+ */
+async function queryAccessibleDatasetFiles(
+  user,
+  { conditions = [], params = [] } = {}
+) {
+  const queryParams = [...params];
+  const accessClause = buildDatasetAccessClause(user.studyAccess, queryParams);
+  const whereClause = [accessClause, ...conditions].join(" AND ");
 
-    // Replace the sample admin query parts in the original query parts
-    const updatedQueryParts = req.user.studyAccess.map((access, idx) => {
-      if (access.role === "SAMPLE_ADMIN") {
-        const sampleAdminIndex = req.user.studyAccess
-          .filter((a) => a.role === "SAMPLE_ADMIN")
-          .indexOf(access);
-        return sampleAdminQueryParts[sampleAdminIndex];
-      } else {
-        return `(df.study_id = $${idx + 1})`;
-      }
-    });
+  console.log("Dataset files where clause:", whereClause);
+  console.log("Parameters:", queryParams);
+
+  const query = `
+    WITH latest_task_instances AS (
+      SELECT DISTINCT ON (task_id)
+        task_id,
+        title as task_title,
+        summary as task_summary,
+        description as task_description,
+        language_code
+      FROM fw_psy_task_instance
+      ORDER BY task_id, file_modified DESC
+    )
+    SELECT 
+      df.dataset_file_id as id,
+      df.study_id,
+      df.task_id,
+      ti.task_title,
+      ti.task_summary,
+      ti.task_description,
+      ti.language_code as task_language,
+      df.digest_def_id,
+      df.sample_id,
+      s.sample_code,
+      s.sample_name,
+      df.filename,
+      df.updated_time
+    FROM fw_psy_dataset_file df
+    -- Get latest task instance info if available
+    LEFT JOIN latest_task_instances ti ON df.task_id = ti.task_id
+    -- Get sample info if available
+    LEFT JOIN fw_psy_sample s ON df.sample_id = s.sample_id
+    WHERE ${whereClause}
+    ORDER BY df.updated_time DESC
+  `;
+
+  return pool.query(query, queryParams);
+}
 
-    const updatedWhereClause = updatedQueryParts.join(" OR ");
-
-    console.log("Updated where clause:", updatedWhereClause);
-    console.log("Parameters:", params);
-
-    const query = `
-      WITH latest_task_instances AS (
-        SELECT DISTINCT ON (task_id)
-          task_id,
-          title as task_title,
-          summary as task_summary,
-          description as task_description,
-          language_code
-        FROM fw_psy_task_instance
-        ORDER BY task_id, file_modified DESC
+/**
+ * Samples a study-wide file has to be filtered down to for this user, or
+ * null if they get the file as stored. Only sample admins are limited to
+ * the rows of their samples; files of a single sample are already scoped
+ * by the access clause. Viewers get study-wide files unfiltered on
+ * purpose: their access covers the whole study in every other listing,
+ * and carries no samples to filter by.
+ */
+function sampleFilterFor(user, file) {
+  if (file.sample_id !== null && file.sample_id !== undefined) return null;
+  return getVisibleSampleIds(user, file.study_id);
+}
+
+/**
+ * Resolve what a user downloads for a dataset file, or for one of its
+ * previous versions: the stored file, or its variant filtered to the
+ * user's samples. Returns null if the stored file is missing on disk.
+ * The current file is only hashed when a filtered variant is needed, so
+ * sha256 is null for an unfiltered current file.
+ *
+ * @returns {Promise<Object|null>} { filePath, sha256, stats, filtered }
+ */
+async function resolveDatasetDownload(req, file, version = null) {
+  // Stored paths go through the file sandbox like any client-supplied path
+  const source = version
+    ? await resolveSandboxedPath(
+        config.files.datasets.versionsPath,
+        version.version_path,
+        { req, allowMissing: true }
       )
-      SELECT 
-        df.dataset_file_id as id,
-        df.study_id,
-        df.task_id,
-        ti.task_title,
-        ti.task_summary,
-        ti.task_description,
-        ti.language_code as task_language,
-        df.digest_def_id,
-        df.sample_id,
-        s.sample_code,
-        s.sample_name,
-        df.filename,
-        df.updated_time
-      FROM fw_psy_dataset_file df
-      -- Get latest task instance info if available
-      LEFT JOIN latest_task_instances ti ON df.task_id = ti.task_id
-      -- Get sample info if available
-      LEFT JOIN fw_psy_sample s ON df.sample_id = s.sample_id
-      WHERE ${updatedWhereClause}
-      ORDER BY df.updated_time DESC
-    `;
+    : await resolveSandboxedPath(config.files.datasets.path, file.filename, {
+        req,
+        allowMissing: true,
+      });
+  if (!source.stats || !source.stats.isFile()) return null;
+  const sourcePath = source.fullPath;
+
+  // Versions are never modified, so their recorded checksum stays valid.
+  // The current file is left to the caller unless it has to be filtered.
+  const sampleIds = sampleFilterFor(req.user, file);
+  if (!sampleIds) {
+    return {
+      filePath: sourcePath,
+      sha256: version ? version.sha256 : null,
+      stats: source.stats,
+      filtered: false,
+    };
+  }
+
+  // Filtered variants are keyed by the checksum of their source, which is
+  // hashed on first download and cached until the file changes
+  const sha256 = version
+    ? version.sha256
+    : await getChecksum(pool, CHECKSUM_ROOT, file.filename, sourcePath);
+  if (!sha256) {
+    throw createError(409, "Dataset file is being updated, try again later");
+  }
+  const variant = await getFilteredFile(pool, {
+    file,
+    sourcePath,
+    sourceSha256: sha256,
+    sampleIds,
+  });
+  return {
+    filePath: variant.filePath,
+    sha256: variant.sha256,
+    stats: variant.stats,
+    filtered: true,
+  };
+}
+
+// Change feed cursors are opaque base64url-encoded JSON holding a timestamp
+function encodeSinceCursor(time) {
+  return Buffer.from(JSON.stringify({ t: time.toISOString() })).toString(
+    "base64url"
+  );
+}
+
+/**
+ * Parse `?since=` as an ISO timestamp or a cursor from a previous feed
+ * response. Throws a 400 error if it is neither.
+ */
+function parseSince(value) {
+  let time = /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null;
+  if (!time) {
+    try {
+      const decoded = JSON.parse(Buffer.from(value, "base64url").toString());
+      time = new Date(decoded.t);
+    } catch (error) {
+      time = null;
+    }
+  }
+  if (!time || isNaN(time.getTime())) {
+    throw createError(400, "since must be an ISO timestamp or a cursor");
+  }
+  return time;
+}
+
+/**
+ * Dataset files deleted since `since` that the user could have seen,
+ * scoped like the listing.
+ */
+async function queryDatasetTombstones(user, since) {
+  const params = [since];
+  const accessClause = buildDatasetAccessClause(user.studyAccess, params, "t");
+  const result = await pool.query(
+    `SELECT t.dataset_file_id as id, t.study_id, t.sample_id, t.task_id,
+      t.filename, t.deleted_time
+    FROM fw_psy_dataset_file_tombstone t
+    WHERE t.deleted_time >= $1
+    AND ${accessClause}
+    ORDER BY t.deleted_time ASC`,
+    params
+  );
+  return result.rows.map((row) => ({ ...row, deleted: true }));
+}
+
+/*
+ * GET dataset files listing with metadata. With ?since= only files whose
+ * row changed since then are listed, along with tombstones for deleted
+ * files and a cursor for the next sync. Files replaced on disk without
+ * their row being touched are only picked up with ?diskChanges=true, which
+ * stats every accessible file. Filtered variants also change when sample
+ * membership does, which only a full listing shows. Files the user cannot
+ * download, such as study-wide files that cannot be filtered to their
+ * samples, are marked `available: false`.
+ */
+router.get("/", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
 
-    const results = await pool.query(query, params);
+    const since = req.query.since ? parseSince(req.query.since) : null;
+    const diskChanges = !!since && req.query.diskChanges === "true";
+    // Taken before reading so nothing changed meanwhile is skipped next time
+    const feedTime = since
+      ? (await pool.query("SELECT NOW() as now")).rows[0].now
+      : null;
+
+    // Only rows changed since then are read and stat'ed, unless changes on
+    // disk were asked for, which can only be found by looking at every file
+    const results = await queryAccessibleDatasetFiles(
+      req.user,
+      since && !diskChanges
+        ? { conditions: ["df.updated_time >= $1"], params: [since] }
+        : {}
+    );
+    const checksums = await getCachedChecksums(
+      pool,
+      CHECKSUM_ROOT,
+      results.rows.map((file) => file.filename)
+    );
 
     // Add file system metadata
     const filesWithMeta = await Promise.all(
       results.rows.map(async (file) => {
-        const filePath = path.join(config.files.datasets.path, file.filename);
         try {
-          const stats = await stat(filePath);
+          const { fullPath: filePath, stats } = await resolveSandboxedPath(
+            config.files.datasets.path,
+            file.filename,
+            { req }
+          );
+
+          // Stale or missing checksums are computed in the background and
+          // show up in a later listing
+          const checksum = checksums.get(file.filename);
+          const fresh = isChecksumFresh(checksum, stats);
+          if (!fresh) {
+            queueChecksum(pool, CHECKSUM_ROOT, file.filename, filePath);
+          }
+
+          let size = stats.size;
+          let sha256 = fresh ? checksum.sha256 : null;
+
+          // Study-wide files are advertised as the variant this user gets,
+          // which is written in the background on first sight
+          const sampleIds = sampleFilterFor(req.user, file);
+          // Only CSV and TSV files can be filtered; anything else cannot be
+          // downloaded by users whose rows have to be filtered out
+          const available = !sampleIds || !!sourceFormatFor(file.filename);
+          if (sampleIds) {
+            let variant = null;
+            if (fresh && sourceFormatFor(file.filename)) {
+              const options = {
+                file,
+                sourcePath: filePath,
+                sourceSha256: checksum.sha256,
+                sampleIds,
+              };
+              variant = await findFilteredFile(pool, options);
+              if (!variant) queueFilteredFile(pool, options);
+            }
+            size = variant ? variant.stats.size : null;
+            sha256 = variant ? variant.sha256 : null;
+          }
+
           return {
             ...file,
-            size: stats.size,
+            size,
             exists: true,
             last_modified: stats.mtime,
+            sha256,
+            filtered: !!sampleIds,
+            available,
             // Add formatted sample info if available
             sample: file.sample_id
               ? {
@@ -141,6 +326,7 @@ router.get("/", async (req, res) => {
           return {
             ...file,
             exists: false,
+            available: false,
             sample: file.sample_id
               ? {
                   id: file.sample_id,
@@ -156,163 +342,710 @@ router.get("/", async (req, res) => {
       })
     );
 
-    res.status(200).json(filesWithMeta);
+    if (!since) {
+      return res.status(200).json(filesWithMeta);
+    }
+
+    // Boundaries are inclusive: a mirror may see a file twice, never miss it
+    const changed = diskChanges
+      ? filesWithMeta.filter(
+          (file) =>
+            new Date(file.updated_time) >= since ||
+            (file.last_modified && file.last_modified >= since)
+        )
+      : filesWithMeta;
+    const deleted = await queryDatasetTombstones(req.user, since);
+
+    res.status(200).json({
+      since: since.toISOString(),
+      files: changed,
+      deleted,
+      next_cursor: encodeSinceCursor(new Date(feedTime)),
+    });
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Error fetching dataset files:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-/* GET specific dataset file */
-router.get("/:fileId", async (req, res) => {
+/**
+ * Stream a ZIP of dataset files to the response without temp files. Files
+ * are added one at a time and hashed on their way into the archive, then
+ * manifest.json is added last with the metadata and SHA-256 of each file.
+ * Every file is resolved before anything is sent: files the user cannot
+ * download are left out and listed in the manifest as unavailable, so the
+ * ZIP is never cut short.
+ */
+async function streamDatasetBundle(req, res, files) {
+  const manifest = {
+    created: new Date().toISOString(),
+    created_by: req.user.id,
+    files: [],
+  };
+  const queue = [];
+
+  for (const file of files) {
+    const entry = {
+      dataset_file_id: file.id,
+      filename: file.filename,
+      study_id: file.study_id,
+      task_id: file.task_id,
+      task_title: file.task_title,
+      digest_def_id: file.digest_def_id,
+      sample: file.sample_id
+        ? { id: file.sample_id, code: file.sample_code, name: file.sample_name }
+        : null,
+      updated_time: file.updated_time,
+      exists: true,
+    };
+    manifest.files.push(entry);
+
+    let download;
+    try {
+      download = await resolveDatasetDownload(req, file);
+    } catch (error) {
+      if (!(error.status && error.status < 500)) throw error;
+      console.log(`Leaving ${file.filename} out of bundle: ${error.message}`);
+      entry.unavailable = error.message;
+      continue;
+    }
+    if (!download) {
+      entry.exists = false;
+      continue;
+    }
+    entry.filtered = download.filtered;
+    queue.push({ file, entry, download });
+  }
+
+  const archive = archiver("zip", { zlib: { level: 6 } });
+
+  const appendNext = () => {
+    const next = queue.shift();
+    if (!next) {
+      archive.append(JSON.stringify(manifest, null, 2), {
+        name: "manifest.json",
+      });
+      archive.finalize();
+      return;
+    }
+    const { file, entry, download } = next;
+
+    const hash = crypto.createHash("sha256");
+    const hashingStream = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+      flush(callback) {
+        entry.sha256 = hash.digest("hex");
+        callback();
+      },
+    });
+    const fileStream = fs.createReadStream(download.filePath);
+    fileStream.on("error", (error) => hashingStream.destroy(error));
+    fileStream.pipe(hashingStream);
+
+    archive.append(hashingStream, {
+      name: file.filename,
+      date: file.updated_time || undefined,
+    });
+  };
+
+  return new Promise((resolve) => {
+    archive.on("entry", (entryData) => {
+      if (entryData.name !== "manifest.json") appendNext();
+    });
+    archive.on("warning", (error) => {
+      console.warn("Dataset bundle warning:", error);
+    });
+    archive.on("error", (error) => {
+      console.error("Error building dataset bundle:", error);
+      res.destroy(error);
+    });
+    // Stop reading files if the client goes away
+    res.on("close", () => {
+      if (!res.writableFinished) archive.abort();
+      resolve();
+    });
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="datasets-${Date.now()}.zip"`
+    );
+    archive.pipe(res);
+    appendNext();
+  });
+}
+
+/*
+ * POST download several dataset files as one ZIP. The body lists
+ * fileIds, or filters by studyId, sampleId and taskId. Access is checked
+ * for every file with the same scoping as single-file downloads.
+ */
+router.post("/bundle", async (req, res) => {
   try {
-    // Check for token in query parameters (for direct downloads)
-    let user = req.user;
-    if (!user && req.query.token) {
-      try {
-        // Verify the token
-        const decoded = jwt.verify(req.query.token, config.jwt.secret);
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
 
-        // Create a user object with the same structure as the middleware would
-        user = new User(decoded.userId, decoded.studyAccess || []);
-      } catch (error) {
-        console.error("Token verification error:", error);
-        return res.status(401).json({ error: "Invalid token" });
+    const { fileIds, studyId, sampleId, taskId } = req.body;
+    const conditions = [];
+    const params = [];
+
+    if (fileIds !== undefined) {
+      if (!Array.isArray(fileIds) || fileIds.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "fileIds must be a non-empty array" });
       }
+      params.push(fileIds.map((id) => id.toString()));
+      conditions.push(`df.dataset_file_id::text = ANY($${params.length})`);
+    } else if (!studyId) {
+      return res.status(400).json({ error: "fileIds or studyId is required" });
     }
 
-    // If still no user, return unauthorized
-    if (!user) {
-      return res.status(401).json({ error: "Unauthorized" });
+    if (studyId) {
+      params.push(studyId);
+      conditions.push(`df.study_id = $${params.length}`);
+    }
+    if (sampleId) {
+      params.push(sampleId.toString());
+      conditions.push(`df.sample_id::text = $${params.length}`);
+    }
+    if (taskId) {
+      params.push(taskId.toString());
+      conditions.push(`df.task_id::text = $${params.length}`);
     }
 
-    // Check permissions
-    if (!user.permissions.includes("READ_DATASETS")) {
+    const results = await queryAccessibleDatasetFiles(req.user, {
+      conditions,
+      params,
+    });
+
+    if (fileIds !== undefined) {
+      const found = results.rows.map((file) => file.id.toString());
+      const missing = [...new Set(fileIds.map((id) => id.toString()))].filter(
+        (id) => !found.includes(id)
+      );
+      if (missing.length > 0) {
+        return res.status(404).json({
+          error: "Dataset files not found or access denied",
+          fileIds: missing,
+        });
+      }
+    }
+
+    if (results.rows.length === 0) {
+      return res.status(404).json({ error: "No matching dataset files" });
+    }
+    if (results.rows.length > BUNDLE_MAX_FILES) {
+      return res.status(400).json({
+        error: `Bundle would contain ${results.rows.length} files, the maximum is ${BUNDLE_MAX_FILES}`,
+      });
+    }
+
+    console.log(`Streaming bundle of ${results.rows.length} dataset files`);
+    await streamDatasetBundle(req, res, results.rows);
+  } catch (error) {
+    console.error("Error building dataset bundle:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+});
+
+/*
+ * POST re-verify the checksums of every dataset file in the studies the
+ * caller administers. Reports files missing on disk, files changed since
+ * their checksum was cached, and mismatches where size and mtime are
+ * unchanged but the content is not, i.e. corruption.
+ */
+router.post("/verify", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("ADMIN")) {
       return res.status(403).json({ error: "Insufficient permissions" });
     }
 
-    const fileId = req.params.fileId;
-    console.log(
-      "Fetching dataset file with ID:",
-      fileId,
-      "Type:",
-      typeof fileId
+    const studyIds = req.user
+      .getAccessibleStudies("STUDY_ADMIN")
+      .filter(
+        (studyId) =>
+          !req.body.studyId || String(studyId) === String(req.body.studyId)
+      );
+    if (
+      req.body.studyId &&
+      !hasStudyRole(req.user, req.body.studyId, "STUDY_ADMIN")
+    ) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+
+    const result = await pool.query(
+      `SELECT dataset_file_id as id, study_id, filename
+      FROM fw_psy_dataset_file
+      WHERE study_id::text = ANY($1::text[])
+      ORDER BY dataset_file_id ASC`,
+      [studyIds.map((studyId) => studyId.toString())]
     );
+    const checksums = await getCachedChecksums(
+      pool,
+      CHECKSUM_ROOT,
+      result.rows.map((file) => file.filename)
+    );
+
+    const report = {
+      checked: 0,
+      ok: 0,
+      missing: [],
+      mismatched: [],
+      changed: [],
+    };
 
-    const queryParts = user.studyAccess.map((access, idx) => {
-      const param = `$${idx + 2}`; // Changed to idx + 2 since $1 is now fileId
-      if (ROLES[access.role] === ROLES.STUDY_ADMIN) {
-        return `(df.study_id = ${param})`;
-      } else if (access.role === "SAMPLE_ADMIN") {
-        return `(df.study_id = ${param} AND 
-          (df.sample_id IS NULL OR df.sample_id::text = ANY($${
-            idx + 2 + user.studyAccess.length
-          }::text[])))`;
+    // One file at a time to keep disk and CPU load predictable
+    for (const file of result.rows) {
+      report.checked++;
+      const cached = checksums.get(file.filename);
+
+      let filePath;
+      let stats;
+      try {
+        ({ fullPath: filePath, stats } = await resolveSandboxedPath(
+          config.files.datasets.path,
+          file.filename,
+          { req }
+        ));
+      } catch (error) {
+        report.missing.push(file);
+        continue;
       }
-      return `(df.study_id = ${param})`;
-    });
 
-    // Prepare parameters with proper type casting for arrays
-    const params = [
-      fileId,
-      ...user.studyAccess.map((access) => access.studyId),
-    ];
-
-    // For sample admins, we need to handle the array parameters differently
-    // First, let's modify the query parts to use a different approach
-    const sampleAdminQueryParts = user.studyAccess
-      .filter((access) => access.role === "SAMPLE_ADMIN")
-      .map((access, idx) => {
-        // For each sample ID, create a separate condition
-        if (Array.isArray(access.sampleIds) && access.sampleIds.length > 0) {
-          const sampleConditions = access.sampleIds.map(
-            (sampleId, sampleIdx) => {
-              const paramIndex = params.length + 1;
-              params.push(sampleId.toString()); // Add the sample ID as a string parameter
-              return `(df.sample_id::text = $${paramIndex})`;
-            }
-          );
+      const sha256 = await hashFile(filePath);
+      const after = await stat(filePath);
+      if (after.size !== stats.size || after.mtimeMs !== stats.mtimeMs) {
+        report.changed.push({
+          ...file,
+          reason: "modified during verification",
+        });
+        continue;
+      }
 
-          // Join all sample conditions with OR
-          return `(df.study_id = $${
-            user.studyAccess.indexOf(access) + 2
-          } AND (df.sample_id IS NULL OR ${sampleConditions.join(" OR ")}))`;
-        } else {
-          // If no sample IDs, just check the study ID
-          return `(df.study_id = $${user.studyAccess.indexOf(access) + 2})`;
-        }
-      });
+      if (isChecksumFresh(cached, stats) && cached.sha256 !== sha256) {
+        // Keep the cached checksum as the expected value until resolved
+        report.mismatched.push({
+          ...file,
+          expected_sha256: cached.sha256,
+          actual_sha256: sha256,
+        });
+        continue;
+      }
 
-    // Replace the sample admin query parts in the original query parts
-    const updatedQueryParts = user.studyAccess.map((access, idx) => {
-      if (access.role === "SAMPLE_ADMIN") {
-        const sampleAdminIndex = user.studyAccess
-          .filter((a) => a.role === "SAMPLE_ADMIN")
-          .indexOf(access);
-        return sampleAdminQueryParts[sampleAdminIndex];
+      if (cached && cached.sha256 !== sha256) {
+        report.changed.push({ ...file, sha256 });
       } else {
-        return `(df.study_id = $${idx + 2})`;
+        report.ok++;
       }
+      await storeChecksum(pool, CHECKSUM_ROOT, file.filename, stats, sha256);
+    }
+
+    console.log("Dataset checksum verification:", {
+      checked: report.checked,
+      ok: report.ok,
+      missing: report.missing.length,
+      mismatched: report.mismatched.length,
+      changed: report.changed.length,
+    });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error("Error verifying dataset files:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/*
+ * POST apply the version retention policy now to the files of the studies
+ * the caller administers, ?studyId= to narrow. Ingest applies it to each
+ * file it replaces; this also catches versions that have since aged out.
+ */
+router.post("/versions/prune", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("ADMIN")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const { studyId } = req.query;
+    if (studyId && !hasStudyRole(req.user, studyId, "STUDY_ADMIN")) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+    const studyIds = studyId
+      ? [studyId]
+      : req.user.getAccessibleStudies("STUDY_ADMIN");
+
+    const pruned = await pruneVersions(pool, { studyIds });
+    res.status(200).json({
+      pruned: pruned.length,
+      versions: pruned,
+      retention: config.files.datasets.versionRetention,
     });
+  } catch (error) {
+    console.error("Error pruning dataset file versions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const updatedWhereClause = updatedQueryParts.join(" OR ");
+/**
+ * Look up a dataset file the user may download, using the same study and
+ * sample scoping as the listing. Returns null if it does not exist or the
+ * user has no access to it.
+ */
+async function findAccessibleDatasetFile(user, fileId) {
+  const params = [fileId];
+  const accessClause = buildDatasetAccessClause(user.studyAccess, params);
 
-    console.log("Updated where clause for file:", updatedWhereClause);
-    console.log("Parameters for file:", params);
+  console.log("Dataset file access clause:", accessClause);
+  console.log("Parameters for file:", params);
 
-    // Modified query to ensure proper type casting
-    const query = `
+  const result = await pool.query(
+    `
       SELECT *
       FROM fw_psy_dataset_file df
       WHERE df.dataset_file_id::text = $1
-      AND (${updatedWhereClause})
-    `;
+      AND ${accessClause}
+    `,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+/* POST issue a short-lived signed download link for a dataset file */
+router.post("/:fileId/link", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const file = await findAccessibleDatasetFile(req.user, req.params.fileId);
+    if (!file) {
+      return res
+        .status(404)
+        .json({ error: "Dataset file not found or access denied" });
+    }
+
+    const download = await resolveDatasetDownload(req, file);
+    if (!download) {
+      return res.status(404).json({ error: "Dataset file not found on disk" });
+    }
+
+    // Filtered variants live outside the dataset folder, under their own name
+    const link = await createDownloadLink(pool, req, {
+      studyId: file.study_id,
+      fileType: download.filtered ? "dataset_filtered" : "dataset",
+      datasetFileId: file.dataset_file_id,
+      filePath: download.filtered
+        ? path.basename(download.filePath)
+        : file.filename,
+    });
+
+    res.status(201).json(link);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error creating dataset download link:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/*
+ * GET the version history of a dataset file, newest first: the current
+ * file followed by the previous versions still kept under the retention
+ * policy. Sizes and checksums of versions filtered to the caller's samples
+ * are only known once downloaded, so they are null here.
+ */
+router.get("/:fileId/versions", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const file = await findAccessibleDatasetFile(req.user, req.params.fileId);
+    if (!file) {
+      return res
+        .status(404)
+        .json({ error: "Dataset file not found or access denied" });
+    }
 
-    console.log("Dataset file query:", query);
-    console.log("Query parameters:", params);
+    const filtered = !!sampleFilterFor(req.user, file);
+    const { stats } = await resolveSandboxedPath(
+      config.files.datasets.path,
+      file.filename,
+      { req, allowMissing: true }
+    );
+    const checksum = (
+      await getCachedChecksums(pool, CHECKSUM_ROOT, [file.filename])
+    ).get(file.filename);
+
+    const versions = await pool.query(
+      `SELECT version_id, filename, size, sha256, updated_time,
+        replaced_time, replaced_by
+      FROM fw_psy_dataset_file_version
+      WHERE dataset_file_id = $1
+      ORDER BY replaced_time DESC, version_id DESC`,
+      [String(file.dataset_file_id)]
+    );
 
-    const result = await pool.query(query, params);
+    res.status(200).json({
+      dataset_file_id: file.dataset_file_id,
+      filename: file.filename,
+      filtered,
+      retention: config.files.datasets.versionRetention,
+      current: {
+        updated_time: file.updated_time,
+        size: stats && !filtered ? stats.size : null,
+        sha256:
+          stats && !filtered && isChecksumFresh(checksum, stats)
+            ? checksum.sha256
+            : null,
+        exists: !!stats,
+      },
+      versions: versions.rows.map((version) => ({
+        ...version,
+        size: filtered ? null : Number(version.size),
+        sha256: filtered ? null : version.sha256,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing dataset file versions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    if (result.rows.length === 0) {
+/* GET a previous version of a dataset file */
+router.get("/:fileId/versions/:versionId", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const file = await findAccessibleDatasetFile(req.user, req.params.fileId);
+    if (!file) {
       return res
         .status(404)
         .json({ error: "Dataset file not found or access denied" });
     }
 
-    const file = result.rows[0];
-    const filePath = path.join(config.files.datasets.path, file.filename);
+    const result = await pool.query(
+      `SELECT * FROM fw_psy_dataset_file_version
+      WHERE dataset_file_id = $1 AND version_id::text = $2`,
+      [String(file.dataset_file_id), req.params.versionId]
+    );
+    const version = result.rows[0];
+    if (!version) {
+      return res.status(404).json({ error: "Version not found" });
+    }
 
-    if (!fs.existsSync(filePath)) {
+    const download = await resolveDatasetDownload(req, file, version);
+    if (!download) {
+      return res.status(404).json({ error: "Version not found on disk" });
+    }
+
+    const ext = path.extname(file.filename);
+    const basename = path.basename(file.filename, ext);
+    await sendFile(req, res, download.filePath, {
+      contentType: "application/octet-stream",
+      disposition: `attachment; filename="${basename}.v${version.version_id}${ext}"`,
+      stats: download.stats,
+      etag: `"${download.sha256}"`,
+      headers: digestHeaders(download.sha256),
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error fetching dataset file version:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* GET preview of the header and first rows of a CSV/TSV dataset file */
+router.get("/:fileId/preview", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const file = await findAccessibleDatasetFile(req.user, req.params.fileId);
+    if (!file) {
+      return res
+        .status(404)
+        .json({ error: "Dataset file not found or access denied" });
+    }
+
+    const download = await resolveDatasetDownload(req, file);
+    if (!download) {
       return res.status(404).json({ error: "Dataset file not found on disk" });
     }
 
-    // Get file stats to set content length
-    const stats = await stat(filePath);
-    console.log(`Serving file: ${filePath}, size: ${stats.size} bytes`);
+    const maxRows = Math.min(
+      PREVIEW_MAX_ROWS,
+      Math.max(1, parseInt(req.query.rows) || PREVIEW_DEFAULT_ROWS)
+    );
 
-    // Set appropriate headers for file download
-    res.setHeader("Content-Type", "application/octet-stream");
-    res.setHeader("Content-Length", stats.size);
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${file.filename}"`
+    const preview = await previewDelimitedFile(download.filePath, {
+      maxRows,
+    });
+    console.log(
+      `Previewed ${preview.rows.length} rows of ${file.filename}, read ${preview.bytes_read} of ${preview.size} bytes`
     );
 
-    // Stream the file with appropriate error handling
-    const fileStream = fs.createReadStream(filePath);
+    res.status(200).json({
+      dataset_file_id: file.dataset_file_id,
+      filename: file.filename,
+      filtered: download.filtered,
+      ...preview,
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error previewing dataset file:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Serve a dataset file converted to another format, from the conversion
+ * cache if this version of the file has been converted before.
+ */
+async function sendConvertedDataset(
+  req,
+  res,
+  { file, filePath, delimiter, sha256, format }
+) {
+  const { contentType, extension } = CONVERSION_FORMATS[format];
+  const cachePath = conversionCachePath(
+    config.files.datasets.conversionCachePath,
+    sha256,
+    format
+  );
+  const basename = path.basename(file.filename, path.extname(file.filename));
+  const disposition = `attachment; filename="${basename}.${extension}"`;
 
-    fileStream.on("error", (error) => {
-      console.error("Error streaming file:", error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: "Error streaming file" });
+  if (fs.existsSync(cachePath)) {
+    console.log(`Serving cached ${format} conversion of ${file.filename}`);
+    return sendFile(req, res, cachePath, {
+      contentType,
+      disposition,
+      etag: `"${sha256}-${format}"`,
+    });
+  }
+
+  // The length of a fresh conversion is unknown until it has been written
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", disposition);
+  res.setHeader("Cache-Control", "private, no-cache, no-transform");
+  if (req.method === "HEAD") {
+    return res.status(200).end();
+  }
+
+  console.log(`Converting ${file.filename} to ${format}`);
+  await streamConversion(res, {
+    sourcePath: filePath,
+    delimiter,
+    format,
+    cachePath,
+  });
+}
+
+/* GET specific dataset file, optionally converted with ?format= */
+router.get("/:fileId", async (req, res) => {
+  try {
+    // Check permissions
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const format = req.query.format
+      ? resolveConversionFormat(req.query.format)
+      : null;
+
+    const fileId = req.params.fileId;
+    console.log("Fetching dataset file with ID:", fileId);
+
+    const file = await findAccessibleDatasetFile(req.user, fileId);
+
+    if (!file) {
+      return res
+        .status(404)
+        .json({ error: "Dataset file not found or access denied" });
+    }
+
+    const download = await resolveDatasetDownload(req, file);
+
+    if (!download) {
+      return res.status(404).json({ error: "Dataset file not found on disk" });
+    }
+
+    const { filePath, stats } = download;
+    console.log(`Serving file: ${filePath}, size: ${stats.size} bytes`);
+
+    // Asking for the stored format serves the file unconverted
+    const source = sourceFormatFor(file.filename);
+    if (format && !(source && source.format === format)) {
+      if (!source) {
+        return res
+          .status(415)
+          .json({ error: "Only CSV and TSV datasets can be converted" });
+      }
+      // Conversions are cached by the checksum of their source, and read
+      // the whole file anyway
+      const sha256 =
+        download.sha256 ||
+        (await getChecksum(pool, CHECKSUM_ROOT, file.filename, filePath));
+      if (!sha256) {
+        return res
+          .status(409)
+          .json({ error: "Dataset file is being updated, try again later" });
+      }
+      return await sendConvertedDataset(req, res, {
+        file,
+        filePath,
+        delimiter: source.delimiter,
+        sha256,
+        format,
+      });
+    }
+
+    // A missing or stale checksum is computed in the background rather
+    // than on the request path, and the file served without digest headers
+    let sha256 = download.sha256;
+    if (!sha256) {
+      const checksums = await getCachedChecksums(pool, CHECKSUM_ROOT, [
+        file.filename,
+      ]);
+      const checksum = checksums.get(file.filename);
+      if (isChecksumFresh(checksum, stats)) {
+        sha256 = checksum.sha256;
       } else {
-        res.end();
+        queueChecksum(pool, CHECKSUM_ROOT, file.filename, filePath);
       }
-    });
+    }
 
-    // Pipe the file to the response
-    fileStream.pipe(res);
+    // Ranges, ETag/conditional requests and HEAD are handled by sendFile.
+    // The ETag stays the size+mtime one whether or not the checksum is known
+    // yet, so If-Range and If-None-Match keep matching once it is.
+    await sendFile(req, res, filePath, {
+      contentType: "application/octet-stream",
+      disposition: `attachment; filename="${file.filename}"`,
+      stats,
+      ...(sha256 && { headers: digestHeaders(sha256) }),
+    });
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Error fetching dataset file:", error);
     res.status(500).json({ error: "Internal server error" });
   }
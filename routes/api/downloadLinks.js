@@ -0,0 +1,119 @@
+const express = require("express");
+const router = express.Router();
+const { Pool } = require("pg");
+const config = require("../../config");
+const { hasStudyRole } = require("../../utils/access");
+
+const pool = new Pool(config.db);
+
+/*
+ * GET download links: the caller's own links plus every link for studies
+ * where they are STUDY_ADMIN. ?active=true hides expired, revoked and
+ * used-up links.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { studyId, active } = req.query;
+    const adminStudies = req.user
+      .getAccessibleStudies("STUDY_ADMIN")
+      .map((id) => id.toString());
+
+    const params = [req.user.id, adminStudies];
+    const conditions = [`(l.user_id = $1 OR l.study_id = ANY($2::text[]))`];
+
+    if (studyId) {
+      params.push(studyId);
+      conditions.push(`l.study_id = $${params.length}`);
+    }
+    if (active === "true") {
+      conditions.push(`l.revoked_time IS NULL
+        AND l.expires_time > NOW()
+        AND l.use_count < l.max_uses`);
+    }
+
+    const result = await pool.query(
+      `
+        SELECT l.*,
+          (SELECT MAX(u.redeemed_time) FROM fw_psy_download_link_use u
+            WHERE u.link_id = l.link_id) as last_redeemed_time
+        FROM fw_psy_download_link l
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY l.created_time DESC
+        LIMIT 500
+      `,
+      params
+    );
+
+    res.status(200).json(result.rows);
+  } catch (error) {
+    console.error("Error listing download links:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* GET the redemptions recorded for a download link */
+router.get("/:linkId/uses", async (req, res) => {
+  try {
+    const link = await findManageableLink(req.user, req.params.linkId);
+    if (!link) {
+      return res.status(404).json({ error: "Download link not found" });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM fw_psy_download_link_use
+      WHERE link_id = $1
+      ORDER BY redeemed_time ASC`,
+      [link.link_id]
+    );
+    res.status(200).json(result.rows);
+  } catch (error) {
+    console.error("Error listing download link uses:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* DELETE revoke a download link */
+router.delete("/:linkId", async (req, res) => {
+  try {
+    const link = await findManageableLink(req.user, req.params.linkId);
+    if (!link) {
+      return res.status(404).json({ error: "Download link not found" });
+    }
+
+    const result = await pool.query(
+      `UPDATE fw_psy_download_link
+      SET revoked_time = COALESCE(revoked_time, NOW()),
+        revoked_by = COALESCE(revoked_by, $2)
+      WHERE link_id = $1
+      RETURNING *`,
+      [link.link_id, req.user.id]
+    );
+
+    console.log("Revoked download link:", link.link_id);
+    res.status(200).json(result.rows[0]);
+  } catch (error) {
+    console.error("Error revoking download link:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Links can be managed by whoever issued them and by study admins.
+ */
+async function findManageableLink(user, linkId) {
+  const result = await pool.query(
+    `SELECT * FROM fw_psy_download_link WHERE link_id::text = $1`,
+    [linkId]
+  );
+  const link = result.rows[0];
+  if (
+    !link ||
+    (link.user_id !== String(user.id) &&
+      !hasStudyRole(user, link.study_id, "STUDY_ADMIN"))
+  ) {
+    return null;
+  }
+  return link;
+}
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require("express");
+const router = express.Router();
+const { Pool } = require("pg");
+const { rateLimit } = require("express-rate-limit");
+const config = require("../../config");
+const path = require("path");
+const {
+  recordDownloadLinkUse,
+  verifyDownloadLink,
+} = require("../../utils/downloadLinks");
+const {
+  sendFile,
+  contentTypeFor,
+  rangeToSend,
+} = require("../../utils/fileResponse");
+const { resolveSandboxedPath } = require("../../utils/fileSandbox");
+
+const pool = new Pool(config.db);
+
+// Links are unauthenticated, so throttle guessing and hammering
+const downloadLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: 30,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+});
+
+/*
+ * GET a file through a signed download link. This route is mounted ahead
+ * of the data access token check: the link itself is the credential, and
+ * it only ever grants access to the one file it was issued for.
+ */
+router.get("/:token", downloadLimiter, async (req, res) => {
+  try {
+    const link = await verifyDownloadLink(pool, req.params.token);
+
+    const root = {
+      dataset: config.files.datasets.path,
+      dataset_filtered: config.files.datasets.filteredCachePath,
+      study: config.files.study.path,
+    }[link.file_type];
+    const { fullPath: filePath, stats } = await resolveSandboxedPath(
+      root,
+      link.file_path,
+      { req, allowMissing: true }
+    );
+    if (!stats || !stats.isFile()) {
+      return res.status(404).json({ error: "File not found on disk" });
+    }
+
+    // Every response with file contents is recorded; HEAD, 304 and 416
+    // responses carry none
+    const range = rangeToSend(req, stats);
+    if (range) {
+      await recordDownloadLinkUse(pool, link, req, range);
+    }
+
+    console.log(
+      `Serving ${link.file_type} file via link ${link.link_id}: ${filePath}`
+    );
+
+    await sendFile(req, res, filePath, {
+      contentType:
+        link.file_type === "study"
+          ? contentTypeFor(filePath)
+          : "application/octet-stream",
+      disposition: `attachment; filename="${path.basename(filePath)}"`,
+      stats,
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error serving download link:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -6,201 +6,1036 @@ const fs = require("fs");
 const { promisify } = require("util");
 const stat = promisify(fs.stat);
 const readdir = promisify(fs.readdir);
-const jwt = require("jsonwebtoken");
-const { User } = require("../../middleware/auth");
+const { Pool } = require("pg");
+const createError = require("http-errors");
+const { minimatch } = require("minimatch");
+const { receiveUpload, sanitizeFilename } = require("../../utils/upload");
+const {
+  sendFile,
+  contentTypeFor,
+  inlineResponseFor,
+} = require("../../utils/fileResponse");
+const {
+  previewDelimitedFile,
+  previewTextFile,
+} = require("../../utils/tabularPreview");
+const { getThumbnail, parseThumbnailSize } = require("../../utils/thumbnails");
+const { createDownloadLink } = require("../../utils/downloadLinks");
+const { createFileShare } = require("../../utils/fileShares");
+const {
+  logSecurityEvent,
+  resolveInRoot,
+  resolveSandboxedPath,
+} = require("../../utils/fileSandbox");
+const { withTransaction } = require("../../utils/db");
+const {
+  deleteFileMetadata,
+  findTaggedPaths,
+  getFileMetadata,
+  moveFileMetadata,
+  parseMetadataInput,
+  setFileMetadata,
+} = require("../../utils/studyFileMetadata");
 
-/* GET study files listing */
+const pool = new Pool(config.db);
+
+// In-progress uploads are written to hidden ".<name>.<id>.upload" files
+const isTempUpload = (name) => name.startsWith(".") && name.endsWith(".upload");
+
+// Listing page size for a single folder
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+
+// Entries stat'ed at the same time while building a listing
+const STAT_BATCH_SIZE = 16;
+
+// Lines returned by the text and CSV preview
+const PREVIEW_DEFAULT_LINES = 50;
+const PREVIEW_MAX_LINES = 1000;
+const DELIMITED_PREVIEW_EXTENSIONS = [".csv", ".tsv"];
+const TEXT_PREVIEW_EXTENSIONS = [".txt", ".md", ".json"];
+
+/**
+ * Whether the user may open a role folder of a study. Study admins open
+ * every role folder, other roles the shared ADMIN folder and their own.
+ */
+function canOpenRoleFolder(user, studyId, roleFolder) {
+  const userAccess = user.studyAccess.find(
+    (access) => access.studyId === studyId
+  );
+  if (!userAccess) return false;
+  return (
+    userAccess.role === "STUDY_ADMIN" ||
+    roleFolder === "ADMIN" ||
+    roleFolder === userAccess.role
+  );
+}
+
+async function mapInBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += STAT_BATCH_SIZE) {
+    results.push(
+      ...(await Promise.all(items.slice(i, i + STAT_BATCH_SIZE).map(fn)))
+    );
+  }
+  return results;
+}
+
+/**
+ * Whether a file matches the listing filters. Name and tag filters are
+ * checked before the file is stat'ed, so `stats` may be missing.
+ */
+function matchesFilters(relativePath, stats, filters) {
+  const name = path.basename(relativePath);
+  if (filters.taggedPaths && !filters.taggedPaths.has(relativePath)) {
+    return false;
+  }
+  if (
+    filters.glob &&
+    !minimatch(name, filters.glob, { nocase: true, dot: true })
+  ) {
+    return false;
+  }
+  if (
+    filters.extensions &&
+    !filters.extensions.includes(path.extname(name).toLowerCase())
+  ) {
+    return false;
+  }
+  if (stats && filters.modifiedFrom && stats.mtime < filters.modifiedFrom) {
+    return false;
+  }
+  if (stats && filters.modifiedTo && stats.mtime > filters.modifiedTo) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Read one page of a directory into listing nodes with paths relative to
+ * `basePath`, directories first. Only the entries on the page are stat'ed
+ * unless a date filter needs every file's modification time.
+ *
+ * @param {string} dir - Absolute path of the directory
+ * @param {string} basePath - Absolute path listing paths are relative to
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Levels of children to include; deeper
+ *   directories get `children: null` and are loaded on request
+ * @param {Object} [options.filters] - { glob, extensions, modifiedFrom,
+ *   modifiedTo, taggedPaths }, applied to files only
+ * @param {number} [options.page] - Page of this directory's entries
+ * @param {number} [options.pageSize] - Entries per directory
+ * @param {Function} [options.include] - Extra check on each entry's name
+ * @returns {Promise<Object>} { entries, total }
+ */
+async function listDirectory(dir, basePath, options = {}) {
+  const {
+    depth = Infinity,
+    filters = {},
+    page = 1,
+    pageSize = Infinity,
+    include = () => true,
+  } = options;
+
+  const relativePathOf = (entry) =>
+    path.relative(basePath, path.join(dir, entry.name));
+  let entries = (await readdir(dir, { withFileTypes: true })).filter(
+    (entry) =>
+      !isTempUpload(entry.name) &&
+      // Links are refused by the file sandbox, so they are not listed
+      !entry.isSymbolicLink() &&
+      include(entry) &&
+      (entry.isDirectory() ||
+        matchesFilters(relativePathOf(entry), null, filters))
+  );
+
+  let stats = new Map();
+  if (filters.modifiedFrom || filters.modifiedTo) {
+    const all = await mapInBatches(entries, (entry) =>
+      stat(path.join(dir, entry.name))
+    );
+    entries = entries.filter((entry, i) => {
+      stats.set(entry.name, all[i]);
+      return (
+        all[i].isDirectory() ||
+        matchesFilters(relativePathOf(entry), all[i], filters)
+      );
+    });
+  }
+
+  entries.sort(
+    (a, b) => b.isDirectory() - a.isDirectory() || a.name.localeCompare(b.name)
+  );
+
+  const start = page > 1 ? (page - 1) * pageSize : 0;
+  const pageEntries = entries.slice(start, start + pageSize);
+  const nodes = await mapInBatches(pageEntries, (entry) =>
+    getTreeNode(path.join(dir, entry.name), basePath, {
+      depth,
+      filters,
+      pageSize,
+      stats: stats.get(entry.name),
+    })
+  );
+  return { entries: nodes, total: entries.length };
+}
+
+/**
+ * Build the listing node for a single file or directory. Directories
+ * hold their first page of children down to `options.depth` levels.
+ */
+async function getTreeNode(fullPath, basePath, options = {}) {
+  const { depth = Infinity, filters, pageSize } = options;
+  const stats = options.stats || (await stat(fullPath));
+  const relativePath = path.relative(basePath, fullPath);
+
+  if (stats.isDirectory()) {
+    const node = {
+      name: path.basename(fullPath),
+      path: relativePath,
+      type: "directory",
+      children: null,
+    };
+    if (depth > 0) {
+      const { entries, total } = await listDirectory(fullPath, basePath, {
+        depth: depth - 1,
+        filters,
+        pageSize,
+      });
+      node.children = entries;
+      if (total > entries.length) {
+        node.truncated = true;
+        node.total_children = total;
+      }
+    }
+    return node;
+  }
+
+  return {
+    name: path.basename(fullPath),
+    path: relativePath,
+    type: "file",
+    size: stats.size,
+    modified: stats.mtime,
+  };
+}
+
+/**
+ * Resolve a path in a study folder through the file sandbox. The path is
+ * given as parts relative to the study folder, role folder first, and
+ * does not have to exist. Returns the absolute path, its path relative to
+ * the study folder and its stats, null if it does not exist.
+ */
+async function resolveStudyPath(req, studyId, parts) {
+  if (
+    resolveInRoot(config.files.study.path, studyId, { req }).segments.length !==
+    1
+  ) {
+    throw createError(400, "Invalid study");
+  }
+  const target = await resolveSandboxedPath(
+    config.files.study.path,
+    [studyId, ...parts],
+    { req, allowMissing: true }
+  );
+  return {
+    studyPath: path.join(target.root, studyId),
+    fullPath: target.fullPath,
+    relativePath: target.segments.slice(1).join(path.sep),
+    stats: target.stats,
+  };
+}
+
+function denyRoleAccess(req, studyId, relativePath) {
+  logSecurityEvent(req, "role folder not allowed", {
+    studyId,
+    path: relativePath,
+  });
+  return createError(403, "Unauthorized role access");
+}
+
+/**
+ * Check the user may modify a path (relative to the study folder). Study
+ * admins can modify anything below the study folder; other roles only
+ * the contents of their own role folder.
+ */
+function assertCanModify(req, studyId, relativePath) {
+  if (!req.user.hasStudyAccess(studyId)) {
+    throw createError(403, "Unauthorized study access");
+  }
+  const [roleFolder, ...rest] = relativePath.split(path.sep);
+  if (!relativePath || rest.length === 0) {
+    // The study folder and the role folders themselves are admin-only
+    if (!req.user.hasStudyAccess(studyId, "STUDY_ADMIN")) {
+      throw denyRoleAccess(req, studyId, relativePath);
+    }
+    return;
+  }
+
+  const userAccess = req.user.studyAccess.find(
+    (access) => access.studyId === studyId
+  );
+  if (userAccess.role !== "STUDY_ADMIN" && roleFolder !== userAccess.role) {
+    throw denyRoleAccess(req, studyId, relativePath);
+  }
+}
+
+function sendFileOpError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.code === "ENOENT") {
+    return res.status(404).json({ error: "File not found" });
+  }
+  if (error.code === "ENOTEMPTY") {
+    return res.status(409).json({ error: "Directory is not empty" });
+  }
+  if (error.code === "EEXIST") {
+    return res.status(409).json({ error: "Destination already exists" });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: "Internal server error" });
+}
+
+/**
+ * Parse the listing filters from the query string, or throw a 400 error.
+ * A tag filter is turned into the set of paths carrying the tags.
+ */
+async function parseListingFilters(studyId, query) {
+  const filters = {};
+  if (query.glob) {
+    filters.glob = String(query.glob);
+  }
+  if (query.ext) {
+    filters.extensions = String(query.ext)
+      .split(",")
+      .map((ext) => ext.trim().toLowerCase())
+      .filter(Boolean)
+      .map((ext) => (ext.startsWith(".") ? ext : `.${ext}`));
+  }
+  for (const key of ["modifiedFrom", "modifiedTo"]) {
+    if (query[key]) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        throw createError(400, `${key} must be an ISO 8601 date`);
+      }
+      filters[key] = date;
+    }
+  }
+  if (query.tag) {
+    const tags = String(query.tag)
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean);
+    filters.taggedPaths = await findTaggedPaths(pool, studyId, tags);
+  }
+  return filters;
+}
+
+/**
+ * Add each file's metadata to listing nodes, nested children included.
+ * Files without metadata get `metadata: null`.
+ */
+async function attachMetadata(studyId, nodes) {
+  const files = [];
+  const collect = (node) => {
+    if (node.type === "file") files.push(node);
+    (node.children || []).forEach(collect);
+  };
+  nodes.forEach(collect);
+
+  const metadata = await getFileMetadata(
+    pool,
+    studyId,
+    files.map((file) => file.path)
+  );
+  files.forEach((file) => {
+    file.metadata = metadata.get(file.path) || null;
+  });
+  return nodes;
+}
+
+/*
+ * GET study files listing. Lists the study folder, or the folder named by
+ * `path` (`role` is accepted as the name of a role folder), leaving out
+ * role folders the user may not open. `depth` limits how many levels of
+ * children are included (all by default); deeper directories have
+ * `children: null` and can be listed with `path`. Files can be filtered
+ * with `glob` (on the file name), `ext` (comma separated),
+ * `modifiedFrom`/`modifiedTo` and `tag` (comma separated, files need all
+ * of them). Files carry their metadata, if any. The requested folder is
+ * paginated with `page` and `pageSize`; nested folders hold at most
+ * `pageSize` entries and are marked `truncated` when there are more.
+ */
 router.get("/", async (req, res) => {
   try {
     const { studyId } = req.params;
-    const { role } = req.query;
+    const {
+      role,
+      page = "1",
+      pageSize = String(DEFAULT_PAGE_SIZE),
+    } = req.query;
 
     // Check study access
     if (!req.user.hasStudyAccess(studyId)) {
       return res.status(403).json({ error: "Unauthorized study access" });
     }
 
-    // For non-admin roles, user can only access their role's folder
-    const userAccess = req.user.studyAccess.find(
-      (access) => access.studyId === studyId
+    const { studyPath, fullPath, relativePath, stats } = await resolveStudyPath(
+      req,
+      studyId,
+      [req.query.path || role || ""]
     );
-    if (
-      role &&
-      role !== "ADMIN" &&
-      userAccess.role !== "STUDY_ADMIN" &&
-      role !== userAccess.role
-    ) {
-      return res.status(403).json({ error: "Unauthorized role access" });
+
+    // For non-admin roles, user can only open the ADMIN and their role's folder
+    const [roleFolder] = relativePath.split(path.sep);
+    if (relativePath && !canOpenRoleFolder(req.user, studyId, roleFolder)) {
+      throw denyRoleAccess(req, studyId, relativePath);
     }
 
-    // Construct base path - look directly in the study folder
-    let basePath = path.join(config.files.study.path, studyId);
+    const depth =
+      req.query.depth === undefined ? Infinity : parseInt(req.query.depth);
+    if (isNaN(depth) || depth < 1) {
+      return res
+        .status(400)
+        .json({ error: "depth must be a positive integer" });
+    }
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const pageSizeNum = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(pageSize) || DEFAULT_PAGE_SIZE)
+    );
+    const filters = await parseListingFilters(studyId, req.query);
 
-    console.log("Looking for study files in:", basePath);
+    console.log("Looking for study files in:", fullPath);
 
     // Check if directory exists
-    if (!fs.existsSync(basePath)) {
-      return res.status(200).json({ files: [] });
-    }
-
-    // Read directory recursively
-    async function getFiles(dir) {
-      const entries = await readdir(dir, { withFileTypes: true });
-      const files = await Promise.all(
-        entries.map(async (entry) => {
-          const fullPath = path.join(dir, entry.name);
-          const relativePath = path.relative(basePath, fullPath);
-
-          if (entry.isDirectory()) {
-            const children = await getFiles(fullPath);
-            return {
-              name: entry.name,
-              path: relativePath,
-              type: "directory",
-              children,
-            };
-          }
-
-          const stats = await stat(fullPath);
-          return {
-            name: entry.name,
-            path: relativePath,
-            type: "file",
-            size: stats.size,
-            modified: stats.mtime,
-          };
-        })
-      );
-
-      return files;
+    if (!stats) {
+      if (relativePath) {
+        return res.status(404).json({ error: "Directory not found" });
+      }
+      return res.status(200).json({
+        path: relativePath,
+        files: [],
+        pagination: {
+          page: pageNum,
+          pageSize: pageSizeNum,
+          totalRows: 0,
+          totalPages: 0,
+        },
+      });
     }
+    if (!stats.isDirectory()) {
+      return res.status(400).json({ error: "path is not a directory" });
+    }
+
+    // At the top of the study folder, only list the role folders the user
+    // may open; files kept there directly are for study admins
+    const include = relativePath
+      ? () => true
+      : (entry) =>
+          entry.isDirectory()
+            ? canOpenRoleFolder(req.user, studyId, entry.name)
+            : req.user.hasStudyAccess(studyId, "STUDY_ADMIN");
 
-    const files = await getFiles(basePath);
-    res.status(200).json({ files });
+    const { entries, total } = await listDirectory(fullPath, studyPath, {
+      depth: depth - 1,
+      filters,
+      page: pageNum,
+      pageSize: pageSizeNum,
+      include,
+    });
+    res.status(200).json({
+      path: relativePath,
+      files: await attachMetadata(studyId, entries),
+      pagination: {
+        page: pageNum,
+        pageSize: pageSizeNum,
+        totalRows: total,
+        totalPages: Math.ceil(total / pageSizeNum),
+      },
+    });
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Error listing study files:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-/* GET specific study file */
+/**
+ * Resolve the on-disk path of a study file the user may download, or
+ * throw a 403/404 error. `filepath` is relative to the study folder, or
+ * to the `role` folder if it is not found there. Access is checked
+ * against the folder the file was actually found in.
+ */
+async function resolveStudyDownload(req, { studyId, role, filepath }) {
+  // Check study access
+  if (!req.user.hasStudyAccess(studyId)) {
+    throw createError(403, "Unauthorized study access");
+  }
+
+  // For non-admin roles, user can only access their role's folder
+  if (!canOpenRoleFolder(req.user, studyId, role)) {
+    throw denyRoleAccess(req, studyId, role);
+  }
+
+  // Try directly in the study folder first, then in the role folder
+  let file = await resolveStudyPath(req, studyId, [filepath]);
+  if (!file.stats || !file.stats.isFile()) {
+    file = await resolveStudyPath(req, studyId, [role, filepath]);
+  }
+  console.log("Looking for file at:", file.fullPath);
+  if (!file.stats || !file.stats.isFile()) {
+    throw createError(404, "File not found");
+  }
+
+  // Files directly in the study folder are for study admins only
+  const [roleFolder, ...rest] = file.relativePath.split(path.sep);
+  const allowed =
+    rest.length === 0
+      ? req.user.hasStudyAccess(studyId, "STUDY_ADMIN")
+      : canOpenRoleFolder(req.user, studyId, roleFolder);
+  if (!allowed) {
+    throw denyRoleAccess(req, studyId, file.relativePath);
+  }
+
+  return file;
+}
+
+/*
+ * PUT the metadata of a study file: title, description, tags and whether
+ * it is the current version of a document. The body names the file by
+ * its `path` relative to the study folder and replaces any metadata it
+ * had. Study admins only.
+ */
+router.put("/metadata", async (req, res) => {
+  try {
+    const { studyId } = req.params;
+
+    if (!req.user.hasStudyAccess(studyId, "STUDY_ADMIN")) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+    if (!req.body.path || typeof req.body.path !== "string") {
+      return res.status(400).json({ error: "path is required" });
+    }
+    const metadata = parseMetadataInput(req.body);
+
+    const { relativePath, stats } = await resolveStudyPath(req, studyId, [
+      req.body.path,
+    ]);
+    if (!stats || !stats.isFile()) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    const stored = await setFileMetadata(
+      pool,
+      { studyId, filePath: relativePath },
+      metadata,
+      req.user.id
+    );
+    console.log(`Updated metadata of study file ${studyId}/${relativePath}`);
+
+    res.status(200).json({ path: relativePath, metadata: stored });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error updating study file metadata:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/*
+ * POST create an external share link for a single study file, for people
+ * without an account. The body names the file like download links do
+ * (`role` and `path`) and can set `expiresAt`, `maxDownloads`, a
+ * `password` and a `note`. Study admins only.
+ */
+router.post("/shares", async (req, res) => {
+  try {
+    const { studyId } = req.params;
+    const { role, path: filepath } = req.body;
+
+    if (!req.user.hasStudyAccess(studyId, "STUDY_ADMIN")) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+    if (!role || !filepath) {
+      return res.status(400).json({ error: "role and path are required" });
+    }
+
+    const { fullPath } = await resolveStudyDownload(req, {
+      studyId,
+      role,
+      filepath,
+    });
+
+    const share = await createFileShare(pool, req, {
+      studyId,
+      filePath: path.relative(config.files.study.path, fullPath),
+    });
+
+    res.status(201).json(share);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error creating study file share:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/*
+ * GET the share links of the study's files. ?active=true hides expired,
+ * revoked and used-up shares. Study admins only.
+ */
+router.get("/shares", async (req, res) => {
+  try {
+    const { studyId } = req.params;
+
+    if (!req.user.hasStudyAccess(studyId, "STUDY_ADMIN")) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+
+    const conditions = ["s.study_id = $1"];
+    if (req.query.active === "true") {
+      conditions.push(`s.revoked_time IS NULL
+        AND s.expires_time > NOW()
+        AND s.download_count < s.max_downloads`);
+    }
+
+    const result = await pool.query(
+      `
+        SELECT s.share_id, s.created_by, s.study_id, s.file_path, s.note,
+          s.password_hash IS NOT NULL as password_protected,
+          s.max_downloads, s.download_count, s.expires_time, s.created_time,
+          s.revoked_time, s.revoked_by,
+          (SELECT MAX(d.downloaded_time) FROM fw_psy_file_share_download d
+            WHERE d.share_id = s.share_id) as last_downloaded_time
+        FROM fw_psy_file_share s
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY s.created_time DESC
+        LIMIT 500
+      `,
+      [String(studyId)]
+    );
+
+    res.status(200).json(result.rows);
+  } catch (error) {
+    console.error("Error listing study file shares:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Load a share link of the study, or null if it does not exist.
+ */
+async function findStudyShare(studyId, shareId) {
+  const result = await pool.query(
+    `SELECT * FROM fw_psy_file_share
+    WHERE share_id::text = $1 AND study_id = $2`,
+    [shareId, String(studyId)]
+  );
+  return result.rows[0] || null;
+}
+
+/* GET the downloads recorded for a share link */
+router.get("/shares/:shareId/downloads", async (req, res) => {
+  try {
+    const { studyId, shareId } = req.params;
+
+    if (!req.user.hasStudyAccess(studyId, "STUDY_ADMIN")) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+    const share = await findStudyShare(studyId, shareId);
+    if (!share) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM fw_psy_file_share_download
+      WHERE share_id = $1
+      ORDER BY downloaded_time ASC`,
+      [share.share_id]
+    );
+    res.status(200).json(result.rows);
+  } catch (error) {
+    console.error("Error listing study file share downloads:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* DELETE revoke a share link */
+router.delete("/shares/:shareId", async (req, res) => {
+  try {
+    const { studyId, shareId } = req.params;
+
+    if (!req.user.hasStudyAccess(studyId, "STUDY_ADMIN")) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+    const share = await findStudyShare(studyId, shareId);
+    if (!share) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
+
+    const result = await pool.query(
+      `UPDATE fw_psy_file_share
+      SET revoked_time = COALESCE(revoked_time, NOW()),
+        revoked_by = COALESCE(revoked_by, $2)
+      WHERE share_id = $1
+      RETURNING share_id, study_id, file_path, revoked_time, revoked_by`,
+      [share.share_id, req.user.id]
+    );
+
+    console.log("Revoked file share:", share.share_id);
+    res.status(200).json(result.rows[0]);
+  } catch (error) {
+    console.error("Error revoking study file share:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* POST issue a short-lived signed download link for a study file */
+router.post("/links", async (req, res) => {
+  try {
+    const { studyId } = req.params;
+    const { role, path: filepath } = req.body;
+
+    if (!role || !filepath) {
+      return res.status(400).json({ error: "role and path are required" });
+    }
+
+    const { fullPath: filePath } = await resolveStudyDownload(req, {
+      studyId,
+      role,
+      filepath,
+    });
+
+    const link = await createDownloadLink(pool, req, {
+      studyId,
+      fileType: "study",
+      filePath: path.relative(config.files.study.path, filePath),
+    });
+
+    res.status(201).json(link);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error creating study file download link:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/*
+ * GET the first lines of a text, Markdown, JSON, CSV or TSV study file as
+ * JSON. CSV and TSV files are parsed into columns and rows. `lines` sets
+ * how many lines or rows are returned.
+ */
+router.get("/preview/:role/:filepath(*)", async (req, res) => {
+  try {
+    const { studyId, role, filepath } = req.params;
+
+    const { fullPath, relativePath } = await resolveStudyDownload(req, {
+      studyId,
+      role,
+      filepath,
+    });
+
+    const maxLines = Math.min(
+      PREVIEW_MAX_LINES,
+      Math.max(1, parseInt(req.query.lines) || PREVIEW_DEFAULT_LINES)
+    );
+    const extension = path.extname(fullPath).toLowerCase();
+
+    let preview;
+    if (DELIMITED_PREVIEW_EXTENSIONS.includes(extension)) {
+      preview = {
+        type: "delimited",
+        ...(await previewDelimitedFile(fullPath, { maxRows: maxLines })),
+      };
+    } else if (TEXT_PREVIEW_EXTENSIONS.includes(extension)) {
+      preview = {
+        type: "text",
+        ...(await previewTextFile(fullPath, { maxLines })),
+      };
+    } else {
+      return res
+        .status(415)
+        .json({ error: "Previews are only available for text and CSV files" });
+    }
+    console.log(
+      `Previewed study file ${fullPath}, read ${preview.bytes_read} of ${preview.size} bytes`
+    );
+
+    res.status(200).json({ path: relativePath, ...preview });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error previewing study file:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/*
+ * GET a downscaled WebP thumbnail of a study image. `size` is the longest
+ * side in pixels. Thumbnails are cached on disk per image version.
+ */
+router.get("/thumbnail/:role/:filepath(*)", async (req, res) => {
+  try {
+    const { studyId, role, filepath } = req.params;
+    const size = parseThumbnailSize(req.query.size);
+
+    const { fullPath, stats } = await resolveStudyDownload(req, {
+      studyId,
+      role,
+      filepath,
+    });
+
+    const thumbnail = await getThumbnail(fullPath, {
+      sourceKey: path.relative(config.files.study.path, fullPath),
+      stats,
+      size,
+    });
+    const basename = path.basename(fullPath, path.extname(fullPath));
+
+    await sendFile(req, res, thumbnail.filePath, {
+      ...inlineResponseFor(thumbnail.filePath),
+      disposition: `inline; filename="${basename}.webp"`,
+      stats: thumbnail.stats,
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error serving study file thumbnail:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/*
+ * GET specific study file. With `inline=true`, PDFs, images, text, CSV
+ * and Markdown are sent to be shown in the browser, with a sandboxing
+ * Content-Security-Policy and nosniff; other formats get a 415.
+ */
 router.get("/:role/:filepath(*)", async (req, res) => {
   try {
-    // Check for token in query parameters (for direct downloads)
-    let user = req.user;
-    if (!user && req.query.token) {
-      try {
-        // Verify the token
-        const decoded = jwt.verify(req.query.token, config.jwt.secret);
-
-        // Create a user object with the same structure as the middleware would
-        user = new User(decoded.userId, decoded.studyAccess || []);
-      } catch (error) {
-        console.error("Token verification error:", error);
-        return res.status(401).json({ error: "Invalid token" });
+    const { studyId, role, filepath } = req.params;
+
+    const { fullPath: filePath, stats } = await resolveStudyDownload(req, {
+      studyId,
+      role,
+      filepath,
+    });
+
+    console.log(`Serving study file: ${filePath}, size: ${stats.size} bytes`);
+
+    let response = {
+      contentType: contentTypeFor(filePath),
+      disposition: `attachment; filename="${path.basename(filePath)}"`,
+    };
+    if (req.query.inline === "true") {
+      response = inlineResponseFor(filePath);
+      if (!response) {
+        return res
+          .status(415)
+          .json({ error: "This file type cannot be shown inline" });
       }
     }
 
-    // If still no user, return unauthorized
-    if (!user) {
-      return res.status(401).json({ error: "Unauthorized" });
+    // Ranges, ETag/conditional requests and HEAD are handled by sendFile
+    await sendFile(req, res, filePath, { ...response, stats });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error("Error fetching study file:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const { studyId, role, filepath } = req.params;
+/* POST upload a file into a study role folder (multipart field "file") */
+router.post("/:role", async (req, res) => {
+  try {
+    const { studyId, role } = req.params;
+    const { path: subPath = "", overwrite } = req.query;
 
     // Check study access
-    if (!user.hasStudyAccess(studyId)) {
+    if (!req.user.hasStudyAccess(studyId)) {
       return res.status(403).json({ error: "Unauthorized study access" });
     }
 
-    // For non-admin roles, user can only access their role's folder
-    const userAccess = user.studyAccess.find(
+    if (!config.files.study.roles.includes(role)) {
+      return res.status(400).json({ error: `Unknown role folder '${role}'` });
+    }
+
+    // Only study admins can upload into other roles' folders
+    const userAccess = req.user.studyAccess.find(
       (access) => access.studyId === studyId
     );
-    if (
-      role !== "ADMIN" &&
-      userAccess.role !== "STUDY_ADMIN" &&
-      role !== userAccess.role
-    ) {
+    if (userAccess.role !== "STUDY_ADMIN" && role !== userAccess.role) {
       return res.status(403).json({ error: "Unauthorized role access" });
     }
 
-    // Prevent directory traversal
-    const normalizedPath = path
-      .normalize(filepath)
-      .replace(/^(\.\.[\/\\])+/, "");
+    // Resolve the target directory, which has to stay in the role folder
+    const { studyPath, fullPath: targetDir } = await resolveStudyPath(
+      req,
+      studyId,
+      [role, subPath]
+    );
 
-    // Try directly in the study folder first (this is the correct path)
-    let filePath = path.join(config.files.study.path, studyId, normalizedPath);
+    const upload = await receiveUpload(req, {
+      targetDir,
+      maxFileSize: config.files.study.upload.maxFileSize,
+      allowedExtensions: config.files.study.upload.allowedExtensions,
+      overwrite: overwrite === "true",
+    });
 
-    console.log("Looking for file at:", filePath);
+    const stats = await stat(upload.path);
+    console.log(`Uploaded study file: ${upload.path}, size: ${stats.size}`);
 
-    // If file doesn't exist, try with the role folder structure as fallback
-    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
-      filePath = path.join(
-        config.files.study.path,
-        studyId,
-        role,
-        normalizedPath
-      );
+    res.status(201).json({
+      file: {
+        name: upload.filename,
+        path: path.relative(studyPath, upload.path),
+        type: "file",
+        size: stats.size,
+        modified: stats.mtime,
+      },
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error uploading study file:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-      console.log("Fallback: Looking for file at:", filePath);
+/* POST create a directory inside a role folder */
+router.post("/:role/mkdir", async (req, res) => {
+  try {
+    const { studyId, role } = req.params;
+    const { path: dirPath } = req.body;
 
-      // If still doesn't exist, return 404
-      if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
-        return res.status(404).json({ error: "File not found" });
-      }
+    if (!dirPath || typeof dirPath !== "string") {
+      return res.status(400).json({ error: "path is required" });
     }
 
-    // Set content type based on file extension
-    const ext = path.extname(filePath).toLowerCase();
-    const contentType =
-      {
-        ".pdf": "application/pdf",
-        ".doc": "application/msword",
-        ".docx":
-          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-        ".xls": "application/vnd.ms-excel",
-        ".xlsx":
-          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-        ".csv": "text/csv",
-        ".txt": "text/plain",
-        ".json": "application/json",
-        ".png": "image/png",
-        ".jpg": "image/jpeg",
-        ".jpeg": "image/jpeg",
-        ".gif": "image/gif",
-      }[ext] || "application/octet-stream";
-
-    // Get file stats to set content length
-    const stats = await stat(filePath);
-    console.log(`Serving study file: ${filePath}, size: ${stats.size} bytes`);
-
-    // Set appropriate headers for file download
-    res.setHeader("Content-Type", contentType);
-    res.setHeader("Content-Length", stats.size);
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${path.basename(filePath)}"`
+    const { studyPath, fullPath, relativePath } = await resolveStudyPath(
+      req,
+      studyId,
+      [role, dirPath]
     );
+    assertCanModify(req, studyId, relativePath);
+    path
+      .relative(path.join(studyPath, role), fullPath)
+      .split(path.sep)
+      .forEach(sanitizeFilename);
+
+    await fs.promises.mkdir(fullPath, { recursive: true });
+    console.log("Created study directory:", fullPath);
+
+    res.status(201).json({ file: await getTreeNode(fullPath, studyPath) });
+  } catch (error) {
+    sendFileOpError(res, error, "creating study directory");
+  }
+});
+
+/*
+ * PATCH move or rename a file or directory within the study. The body's
+ * destination is relative to the study folder, role folder included.
+ */
+router.patch("/:role/:filepath(*)", async (req, res) => {
+  try {
+    const { studyId, role, filepath } = req.params;
+    const { destination } = req.body;
+
+    if (!destination || typeof destination !== "string") {
+      return res.status(400).json({ error: "destination is required" });
+    }
+
+    const source = await resolveStudyPath(req, studyId, [role, filepath]);
+    const target = await resolveStudyPath(req, studyId, [destination]);
+    assertCanModify(req, studyId, source.relativePath);
+    assertCanModify(req, studyId, target.relativePath);
+    sanitizeFilename(path.basename(target.fullPath));
+
+    if (target.fullPath.startsWith(source.fullPath + path.sep)) {
+      return res
+        .status(400)
+        .json({ error: "Cannot move a directory into itself" });
+    }
+
+    const sourceStats = await fs.promises.lstat(source.fullPath);
+    await fs.promises.mkdir(path.dirname(target.fullPath), { recursive: true });
 
-    // Stream the file with appropriate error handling
-    const fileStream = fs.createReadStream(filePath);
+    // Metadata moves with the file; the move itself comes last, so the
+    // metadata update is rolled back if it fails
+    await withTransaction(pool, async (client) => {
+      await moveFileMetadata(
+        client,
+        studyId,
+        source.relativePath,
+        target.relativePath
+      );
 
-    fileStream.on("error", (error) => {
-      console.error("Error streaming file:", error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: "Error streaming file" });
+      if (sourceStats.isDirectory()) {
+        // rename() would silently replace an empty directory at the target
+        if (fs.existsSync(target.fullPath)) {
+          throw createError(409, `'${target.relativePath}' already exists`);
+        }
+        await fs.promises.rename(source.fullPath, target.fullPath);
       } else {
-        res.end();
+        // Linking fails atomically if the target exists, unlike rename()
+        await fs.promises.link(source.fullPath, target.fullPath);
+        await fs.promises.unlink(source.fullPath);
       }
     });
 
-    // Pipe the file to the response
-    fileStream.pipe(res);
+    console.log(`Moved study file: ${source.fullPath} -> ${target.fullPath}`);
+    const [file] = await attachMetadata(studyId, [
+      await getTreeNode(target.fullPath, target.studyPath),
+    ]);
+    res.status(200).json({ file });
   } catch (error) {
-    console.error("Error fetching study file:", error);
-    res.status(500).json({ error: "Internal server error" });
+    sendFileOpError(res, error, "moving study file");
+  }
+});
+
+/*
+ * DELETE a file or an empty directory. Responds with the updated parent
+ * directory node.
+ */
+router.delete("/:role/:filepath(*)", async (req, res) => {
+  try {
+    const { studyId, role, filepath } = req.params;
+    const { studyPath, fullPath, relativePath } = await resolveStudyPath(
+      req,
+      studyId,
+      [role, filepath]
+    );
+    assertCanModify(req, studyId, relativePath);
+
+    const stats = await fs.promises.lstat(fullPath);
+    if (stats.isDirectory()) {
+      // rmdir refuses non-empty directories with ENOTEMPTY
+      await fs.promises.rmdir(fullPath);
+    } else {
+      await withTransaction(pool, async (client) => {
+        await deleteFileMetadata(client, studyId, relativePath);
+        await fs.promises.unlink(fullPath);
+      });
+    }
+    console.log("Deleted study file:", fullPath);
+
+    res
+      .status(200)
+      .json({ file: await getTreeNode(path.dirname(fullPath), studyPath) });
+  } catch (error) {
+    sendFileOpError(res, error, "deleting study file");
   }
 });
 
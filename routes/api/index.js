@@ -11,6 +11,19 @@ const statusRouter = require("./status");
 const datasetsRouter = require("./datasets");
 const studiesRouter = require("./studies");
 const filesRouter = require("./files");
+const downloadLinksRouter = require("./downloadLinks");
+const downloadsRouter = require("./downloads");
+const sharedRouter = require("./shared");
+const snapshotsRouter = require("./snapshots");
+const ingestRouter = require("./ingest");
+
+// Signed download and share links carry their own credential, so they are
+// served before the data access token check
+router.use("/downloads", downloadsRouter);
+router.use("/shared", sharedRouter);
+
+// The processing pipeline authenticates with a service token instead
+router.use("/ingest", ingestRouter);
 
 // Apply auth middleware to all routes
 router.use(validateDataAccessToken);
@@ -24,5 +37,7 @@ router.use("/status", statusRouter);
 router.use("/datasets", datasetsRouter);
 router.use("/studies", studiesRouter);
 router.use("/studies/:studyId/files", filesRouter);
+router.use("/download-links", downloadLinksRouter);
+router.use("/snapshots", snapshotsRouter);
 
 module.exports = router;
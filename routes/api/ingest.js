@@ -0,0 +1,295 @@
+const express = require("express");
+const router = express.Router();
+const { Pool } = require("pg");
+const config = require("../../config");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const createError = require("http-errors");
+const { validateServiceToken } = require("../../middleware/auth");
+const { withTransaction } = require("../../utils/db");
+const { receiveUpload, sanitizeFilename } = require("../../utils/upload");
+const { resolveSandboxedPath } = require("../../utils/fileSandbox");
+const {
+  getChecksum,
+  hashFile,
+  queueChecksum,
+  storeChecksum,
+} = require("../../utils/checksums");
+const {
+  preserveFile,
+  pruneVersions,
+  versionRelativePath,
+} = require("../../utils/datasetVersions");
+
+const pool = new Pool(config.db);
+
+// Checksum cache key for files under DATASET_FILES_PATH
+const CHECKSUM_ROOT = "datasets";
+
+// Uploads are staged next to the dataset files so the final move is atomic
+const STAGING_DIR = ".ingest";
+
+router.use(validateServiceToken("datasets:ingest"));
+
+/**
+ * Check the dataset key in the query string against the database before
+ * any of the upload is read. Returns the normalised key.
+ */
+async function validateIngestKey(query) {
+  const { studyId, taskId, sampleId, digestDefId } = query;
+  if (!studyId || !taskId) {
+    throw createError(400, "studyId and taskId are required");
+  }
+
+  const study = await pool.query(
+    `SELECT 1 FROM fw_psy_study WHERE study_id::text = $1::text`,
+    [studyId]
+  );
+  if (study.rows.length === 0) {
+    throw createError(404, "Study not found");
+  }
+
+  const task = await pool.query(
+    `SELECT 1 FROM fw_psy_task_instance WHERE task_id::text = $1::text LIMIT 1`,
+    [taskId]
+  );
+  if (task.rows.length === 0) {
+    throw createError(404, "Task not found");
+  }
+
+  if (sampleId) {
+    const sample = await pool.query(
+      `SELECT 1 FROM fw_psy_sample
+      WHERE study_id::text = $1::text AND sample_id::text = $2::text`,
+      [studyId, sampleId]
+    );
+    if (sample.rows.length === 0) {
+      throw createError(404, "Sample not found in study");
+    }
+  }
+
+  return {
+    studyId: String(studyId),
+    taskId: String(taskId),
+    sampleId: sampleId ? String(sampleId) : null,
+    digestDefId: digestDefId ? String(digestDefId) : null,
+  };
+}
+
+/*
+ * POST a dataset file from the processing pipeline, as multipart/form-data
+ * with the file in a `file` field. The query string names the dataset:
+ * studyId, taskId, optional sampleId and digestDefId, and optionally the
+ * filename to register a new file under instead of the uploaded name.
+ * The file is staged, then under a lock on its key the current version is
+ * kept in the versions folder, the row is upserted with a new
+ * updated_time and the new file is moved into place. An existing dataset
+ * file keeps its registered filename.
+ */
+router.post("/datasets", async (req, res) => {
+  // Each request stages into its own folder, removed again at the end
+  const stagingDir = path.join(
+    config.files.datasets.path,
+    STAGING_DIR,
+    crypto.randomUUID()
+  );
+  const { allowedExtensions, maxFileSize } = config.files.datasets.ingest;
+  let staged = null;
+  let preservedPath = null;
+  try {
+    const key = await validateIngestKey(req.query);
+    const requestedFilename = req.query.filename
+      ? sanitizeFilename(req.query.filename)
+      : null;
+    if (
+      requestedFilename &&
+      !allowedExtensions.includes(path.extname(requestedFilename).toLowerCase())
+    ) {
+      throw createError(
+        415,
+        `File type of '${requestedFilename}' is not allowed`
+      );
+    }
+
+    staged = await receiveUpload(req, {
+      targetDir: stagingDir,
+      maxFileSize,
+      allowedExtensions,
+    });
+    console.log(
+      `Service ${req.service.id} staged ${staged.size} bytes for`,
+      key
+    );
+
+    const result = await withTransaction(pool, async (client) => {
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [
+        `fw_psy_dataset_file:${JSON.stringify(key)}`,
+      ]);
+
+      const existingResult = await client.query(
+        `SELECT * FROM fw_psy_dataset_file
+        WHERE study_id::text = $1
+        AND task_id::text = $2
+        AND sample_id::text IS NOT DISTINCT FROM $3
+        AND digest_def_id::text IS NOT DISTINCT FROM $4
+        ORDER BY updated_time DESC
+        LIMIT 1
+        FOR UPDATE`,
+        [key.studyId, key.taskId, key.sampleId, key.digestDefId]
+      );
+      const existing = existingResult.rows[0];
+
+      const filename = existing
+        ? existing.filename
+        : requestedFilename || staged.filename;
+      const { fullPath: finalPath, stats: current } =
+        await resolveSandboxedPath(config.files.datasets.path, filename, {
+          req,
+          allowMissing: true,
+        });
+
+      let version = null;
+      if (existing && current) {
+        // Keep the current file before it is replaced
+        const sha256 = await getChecksum(
+          pool,
+          CHECKSUM_ROOT,
+          filename,
+          finalPath
+        );
+        // The version id is part of the path the copy is kept under
+        const idResult = await client.query(
+          `SELECT nextval(pg_get_serial_sequence(
+            'fw_psy_dataset_file_version', 'version_id')) as version_id`
+        );
+        version = idResult.rows[0].version_id;
+        const relativePath = versionRelativePath(
+          existing.dataset_file_id,
+          version,
+          filename
+        );
+        preservedPath = await preserveFile(finalPath, relativePath);
+
+        await client.query(
+          `INSERT INTO fw_psy_dataset_file_version
+            (version_id, dataset_file_id, study_id, filename, version_path,
+             size, sha256, updated_time, replaced_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [
+            version,
+            existing.dataset_file_id,
+            key.studyId,
+            filename,
+            relativePath,
+            current.size,
+            sha256 || (await hashFile(finalPath)),
+            existing.updated_time,
+            req.service.id,
+          ]
+        );
+      } else if (!existing && current) {
+        throw createError(
+          409,
+          `'${filename}' exists on disk but is not a registered dataset file`
+        );
+      }
+
+      const row = existing
+        ? await client.query(
+            `UPDATE fw_psy_dataset_file SET updated_time = NOW()
+            WHERE dataset_file_id = $1
+            RETURNING *`,
+            [existing.dataset_file_id]
+          )
+        : await client.query(
+            `INSERT INTO fw_psy_dataset_file
+              (study_id, task_id, sample_id, digest_def_id, filename,
+               updated_time)
+            VALUES ($1, $2, $3, $4, $5, NOW())
+            RETURNING *`,
+            [key.studyId, key.taskId, key.sampleId, key.digestDefId, filename]
+          );
+
+      // Last step before commit, still under the lock on this key
+      await fs.promises.mkdir(path.dirname(finalPath), { recursive: true });
+      await fs.promises.rename(staged.path, finalPath);
+      staged = null;
+
+      return {
+        file: row.rows[0],
+        finalPath,
+        created: !existing,
+        previous_version_id: version,
+      };
+    });
+
+    // The file is in place once the transaction has committed, so nothing
+    // below fails the request. Hash now so the listing can show the new
+    // checksum straight away, or leave it to the background queue.
+    let size = null;
+    let sha256 = null;
+    try {
+      const stats = await fs.promises.stat(result.finalPath);
+      size = stats.size;
+      sha256 = await hashFile(result.finalPath);
+      await storeChecksum(
+        pool,
+        CHECKSUM_ROOT,
+        result.file.filename,
+        stats,
+        sha256
+      );
+    } catch (error) {
+      console.error(
+        `Error hashing ingested file ${result.file.filename}:`,
+        error
+      );
+      queueChecksum(
+        pool,
+        CHECKSUM_ROOT,
+        result.file.filename,
+        result.finalPath
+      );
+    }
+
+    if (result.previous_version_id) {
+      try {
+        await pruneVersions(pool, {
+          datasetFileId: result.file.dataset_file_id,
+        });
+      } catch (error) {
+        console.error(
+          `Error pruning versions of dataset file ${result.file.dataset_file_id}:`,
+          error
+        );
+      }
+    }
+
+    console.log(
+      `Service ${req.service.id} ingested dataset file ${result.file.dataset_file_id}`
+    );
+    res.status(result.created ? 201 : 200).json({
+      ...result.file,
+      size,
+      sha256,
+      previous_version_id: result.previous_version_id,
+    });
+  } catch (error) {
+    // Nothing was replaced, so drop the copy kept of the current file
+    if (staged && preservedPath) {
+      await fs.promises.unlink(preservedPath).catch(() => {});
+    }
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error ingesting dataset file:", error);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    await fs.promises
+      .rm(stagingDir, { recursive: true, force: true })
+      .catch(() => {});
+  }
+});
+
+module.exports = router;
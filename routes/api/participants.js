@@ -2,9 +2,121 @@ const express = require("express");
 const router = express.Router();
 const { Pool } = require("pg");
 const config = require("../../config");
+const createError = require("http-errors");
+const { parse } = require("csv-parse/sync");
+const {
+  buildAccessClause,
+  getRestrictedSampleIds,
+  hasStudyRole,
+} = require("../../utils/access");
+const { withTransaction } = require("../../utils/db");
+const {
+  resolveExportFormat,
+  streamQueryExport,
+} = require("../../utils/export");
 
 const pool = new Pool(config.db);
 
+// Loose email address check, the same for enrolment, updates and imports
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Limits for bulk participant imports
+const IMPORT_MAX_BYTES = "5mb";
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_COLUMNS = ["user_code", "email", "sample_code"];
+
+// Columns participants can be sorted by in exports
+const EXPORT_SORT_COLUMNS = [
+  "user_id",
+  "user_code",
+  "email_address",
+  "last_submission",
+  "completed_tasks",
+  "assigned_tasks",
+];
+
+/* GET participants export as streamed CSV or NDJSON */
+router.get("/export", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_USERS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const {
+      studyId,
+      sampleId,
+      search = "",
+      sortBy = "user_code",
+      sortOrder = "asc",
+    } = req.query;
+
+    if (!EXPORT_SORT_COLUMNS.includes(sortBy)) {
+      return res.status(400).json({
+        error: `sortBy must be one of: ${EXPORT_SORT_COLUMNS.join(", ")}`,
+      });
+    }
+
+    const format = resolveExportFormat(req);
+
+    // Same study/sample scoping as the other participant-level endpoints
+    const params = [];
+    const conditions = [buildAccessClause(req.user.studyAccess, params)];
+
+    if (studyId) {
+      params.push(studyId);
+      conditions.push(`u.study_id = $${params.length}`);
+    }
+
+    if (sampleId) {
+      params.push(sampleId);
+      conditions.push(`EXISTS (
+        SELECT 1 FROM fw_psy_sample_user fsu
+        WHERE fsu.user_id = u.user_id
+        AND fsu.sample_id::text = $${params.length}::text
+      )`);
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(
+        `(u.user_code ILIKE $${params.length} OR u.email_address ILIKE $${params.length})`
+      );
+    }
+
+    const query = `
+      SELECT
+        u.user_id,
+        u.study_id,
+        u.user_code,
+        u.email_address,
+        MAX(utl.submission_time) as last_submission,
+        COUNT(DISTINCT utl.task_log_id) as completed_tasks,
+        COUNT(DISTINCT ut.task_id) as assigned_tasks
+      FROM fw_psy_user u
+      LEFT JOIN fw_psy_user_task ut ON u.user_id = ut.user_id
+      LEFT JOIN fw_psy_user_task_log utl ON ut.user_task_id = utl.user_task_id
+      WHERE ${conditions.join(" AND ")}
+      GROUP BY u.user_id, u.study_id, u.user_code, u.email_address
+      ORDER BY ${sortBy} ${sortOrder === "desc" ? "DESC" : "ASC"}, u.user_id ASC
+    `;
+
+    console.log("Participants export parameters:", params);
+
+    await streamQueryExport(pool, res, {
+      query,
+      params,
+      format,
+      filename: "participants",
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error exporting participants:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Get participants for a study/sample with pagination and search
 router.get("/", async (req, res) => {
   const {
@@ -167,4 +279,572 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * Load a participant along with the IDs of the samples they belong to.
+ */
+async function loadParticipant(client, userId) {
+  const result = await client.query(
+    `SELECT u.*,
+      ARRAY(
+        SELECT su.sample_id FROM fw_psy_sample_user su
+        WHERE su.user_id = u.user_id
+        ORDER BY su.sample_id
+      ) as sample_ids
+    FROM fw_psy_user u
+    WHERE u.user_id::text = $1::text`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Load a participant the user may modify: they need WRITE_USERS via a
+ * STUDY_ADMIN or SAMPLE_ADMIN role on the participant's study, and sample
+ * admins only reach participants in one of their own samples.
+ */
+async function loadWritableParticipant(client, user, userId) {
+  const participant = await loadParticipant(client, userId);
+  if (
+    !participant ||
+    !hasStudyRole(user, participant.study_id, "SAMPLE_ADMIN")
+  ) {
+    throw createError(404, "Participant not found or access denied");
+  }
+
+  const restrictedSampleIds = getRestrictedSampleIds(
+    user,
+    participant.study_id
+  );
+  if (
+    restrictedSampleIds &&
+    !participant.sample_ids.some((sampleId) =>
+      restrictedSampleIds.includes(sampleId.toString())
+    )
+  ) {
+    throw createError(404, "Participant not found or access denied");
+  }
+
+  return participant;
+}
+
+/**
+ * Validate requested sample IDs: they must be an array of samples that
+ * belong to the study and, for sample admins, be among their own samples.
+ * Returns the IDs as strings.
+ */
+async function validateSampleIds(client, user, studyId, sampleIds) {
+  if (!Array.isArray(sampleIds)) {
+    throw createError(400, "sampleIds must be an array");
+  }
+  const requested = [...new Set(sampleIds.map((id) => id.toString()))];
+
+  const restrictedSampleIds = getRestrictedSampleIds(user, studyId);
+  if (restrictedSampleIds) {
+    const forbidden = requested.filter(
+      (sampleId) => !restrictedSampleIds.includes(sampleId)
+    );
+    if (forbidden.length > 0) {
+      throw createError(
+        403,
+        `Unauthorized sample access: ${forbidden.join(", ")}`
+      );
+    }
+  }
+
+  const result = await client.query(
+    `SELECT sample_id::text as sample_id FROM fw_psy_sample
+    WHERE study_id = $1 AND sample_id::text = ANY($2::text[])`,
+    [studyId, requested]
+  );
+  const known = result.rows.map((row) => row.sample_id);
+  const unknown = requested.filter((sampleId) => !known.includes(sampleId));
+  if (unknown.length > 0) {
+    throw createError(
+      400,
+      `Unknown sample(s) for study ${studyId}: ${unknown.join(", ")}`
+    );
+  }
+
+  return requested;
+}
+
+/**
+ * Take a transaction-scoped advisory lock on a study's user codes so
+ * concurrent enrolments and imports into the study serialise on each
+ * other. One lock per study keeps bulk imports from holding thousands.
+ */
+async function lockStudyUserCodes(client, studyId) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+    `fw_psy_user:${studyId}`,
+  ]);
+}
+
+/**
+ * Whether an emailAddress from a request body can be stored: null to have
+ * none, or a string that looks like an email address.
+ */
+function isValidEmailAddress(emailAddress) {
+  return (
+    emailAddress === null ||
+    (typeof emailAddress === "string" && EMAIL_PATTERN.test(emailAddress))
+  );
+}
+
+/**
+ * Reject a user_code already used by another participant in the study.
+ */
+async function assertUniqueUserCode(client, studyId, userCode, userId = null) {
+  await lockStudyUserCodes(client, studyId);
+  const result = await client.query(
+    `SELECT user_id FROM fw_psy_user
+    WHERE study_id = $1 AND user_code = $2
+    AND ($3::text IS NULL OR user_id::text <> $3::text)`,
+    [studyId, userCode, userId]
+  );
+  if (result.rows.length > 0) {
+    throw createError(
+      409,
+      `User code '${userCode}' already exists in study ${studyId}`
+    );
+  }
+}
+
+function sendWriteError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res
+      .status(error.status)
+      .json({ success: false, error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed ${action}`,
+    details: error.message,
+  });
+}
+
+/* POST enrol a new participant into a study and its samples */
+router.post("/", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("WRITE_USERS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const { studyId, userCode, emailAddress = null, sampleIds = [] } = req.body;
+
+    if (!studyId || !userCode || typeof userCode !== "string") {
+      return res
+        .status(400)
+        .json({ success: false, error: "studyId and userCode are required" });
+    }
+    if (!isValidEmailAddress(emailAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: "emailAddress must be a valid email address",
+      });
+    }
+
+    if (!hasStudyRole(req.user, studyId, "SAMPLE_ADMIN")) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+
+    // Sample admins can only see participants through their samples, so
+    // they must enrol into at least one of them
+    if (getRestrictedSampleIds(req.user, studyId) && sampleIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Sample admins must enrol participants into a sample",
+      });
+    }
+
+    const participant = await withTransaction(pool, async (client) => {
+      const validSampleIds = await validateSampleIds(
+        client,
+        req.user,
+        studyId,
+        sampleIds
+      );
+      await assertUniqueUserCode(client, studyId, userCode.trim());
+
+      const insertResult = await client.query(
+        `INSERT INTO fw_psy_user (study_id, user_code, email_address)
+        VALUES ($1, $2, $3)
+        RETURNING user_id`,
+        [studyId, userCode.trim(), emailAddress]
+      );
+      const { user_id } = insertResult.rows[0];
+
+      await client.query(
+        `INSERT INTO fw_psy_sample_user (sample_id, user_id)
+        SELECT s.sample_id, $1
+        FROM fw_psy_sample s
+        WHERE s.sample_id::text = ANY($2::text[])`,
+        [user_id, validSampleIds]
+      );
+
+      return loadParticipant(client, user_id);
+    });
+
+    console.log("Enrolled participant:", participant.user_id);
+    res.status(201).json({ success: true, data: participant });
+  } catch (error) {
+    sendWriteError(res, error, "to enrol participant");
+  }
+});
+
+/**
+ * Parse an import CSV into row objects keyed by IMPORT_COLUMNS. Throws a
+ * 400 if the CSV is malformed or misses the user_code column.
+ */
+function parseImportCsv(text) {
+  let records;
+  try {
+    records = parse(text, {
+      columns: (header) => header.map((column) => column.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true,
+    });
+  } catch (error) {
+    throw createError(400, `Invalid CSV: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw createError(400, "CSV contains no participant rows");
+  }
+  if (!Object.prototype.hasOwnProperty.call(records[0], "user_code")) {
+    throw createError(
+      400,
+      `CSV must have a header row with columns: ${IMPORT_COLUMNS.join(", ")}`
+    );
+  }
+  if (records.length > IMPORT_MAX_ROWS) {
+    throw createError(
+      400,
+      `CSV has ${records.length} rows, the maximum is ${IMPORT_MAX_ROWS}`
+    );
+  }
+
+  return records.map((record, idx) => ({
+    row: idx + 2, // 1-based, after the header line
+    user_code: record.user_code || "",
+    email: record.email || null,
+    sample_code: record.sample_code || null,
+  }));
+}
+
+/**
+ * Validate import rows against the study's existing participants and
+ * samples and the user's sample restrictions. Returns one report entry
+ * per row with its status, errors and resolved sample_id.
+ */
+async function validateImportRows(client, user, studyId, rows) {
+  const userCodes = rows.map((row) => row.user_code).filter(Boolean);
+  const sampleCodes = rows.map((row) => row.sample_code).filter(Boolean);
+
+  const [existingResult, samplesResult] = await Promise.all([
+    client.query(
+      `SELECT user_code FROM fw_psy_user
+      WHERE study_id = $1 AND user_code = ANY($2::text[])`,
+      [studyId, userCodes]
+    ),
+    client.query(
+      `SELECT sample_id, sample_code FROM fw_psy_sample
+      WHERE study_id = $1 AND sample_code = ANY($2::text[])`,
+      [studyId, sampleCodes]
+    ),
+  ]);
+
+  const existingCodes = new Set(existingResult.rows.map((r) => r.user_code));
+  const samplesByCode = new Map(
+    samplesResult.rows.map((r) => [r.sample_code, r.sample_id])
+  );
+  const restrictedSampleIds = getRestrictedSampleIds(user, studyId);
+  const seenCodes = new Set();
+
+  return rows.map((row) => {
+    const errors = [];
+    let sampleId = null;
+
+    if (!row.user_code) {
+      errors.push("user_code is required");
+    } else if (seenCodes.has(row.user_code)) {
+      errors.push(`Duplicate user_code '${row.user_code}' in file`);
+    } else if (existingCodes.has(row.user_code)) {
+      errors.push(
+        `User code '${row.user_code}' already exists in study ${studyId}`
+      );
+    }
+    seenCodes.add(row.user_code);
+
+    if (row.email && !EMAIL_PATTERN.test(row.email)) {
+      errors.push(`Invalid email '${row.email}'`);
+    }
+
+    if (row.sample_code) {
+      sampleId = samplesByCode.get(row.sample_code) ?? null;
+      if (sampleId === null) {
+        errors.push(`Unknown sample_code '${row.sample_code}'`);
+      } else if (
+        restrictedSampleIds &&
+        !restrictedSampleIds.includes(sampleId.toString())
+      ) {
+        errors.push(`Unauthorized sample access: '${row.sample_code}'`);
+      }
+    } else if (restrictedSampleIds) {
+      errors.push("sample_code is required for sample admins");
+    }
+
+    return {
+      ...row,
+      sample_id: sampleId,
+      status: errors.length > 0 ? "invalid" : "valid",
+      errors,
+    };
+  });
+}
+
+function summariseImport(report) {
+  const invalid = report.filter((row) => row.status === "invalid").length;
+  return { total: report.length, valid: report.length - invalid, invalid };
+}
+
+/*
+ * POST bulk import participants from a CSV body (user_code, email,
+ * sample_code). With dryRun=true only the per-row report is returned;
+ * otherwise all rows are created in one transaction, or none if any
+ * row is invalid.
+ */
+router.post(
+  "/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: IMPORT_MAX_BYTES }),
+  async (req, res) => {
+    try {
+      if (!req.user.permissions.includes("WRITE_USERS")) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      const { studyId } = req.query;
+      const dryRun = req.query.dryRun === "true";
+
+      if (!studyId) {
+        return res
+          .status(400)
+          .json({ success: false, error: "studyId is required" });
+      }
+      if (!hasStudyRole(req.user, studyId, "SAMPLE_ADMIN")) {
+        return res.status(403).json({ error: "Unauthorized study access" });
+      }
+      if (typeof req.body !== "string" || req.body.trim() === "") {
+        return res.status(400).json({
+          success: false,
+          error: "Request body must be a CSV with Content-Type text/csv",
+        });
+      }
+
+      const rows = parseImportCsv(req.body);
+
+      if (dryRun) {
+        const client = await pool.connect();
+        try {
+          const report = await validateImportRows(
+            client,
+            req.user,
+            studyId,
+            rows
+          );
+          return res.json({
+            success: true,
+            dryRun: true,
+            summary: summariseImport(report),
+            rows: report,
+          });
+        } finally {
+          client.release();
+        }
+      }
+
+      const result = await withTransaction(pool, async (client) => {
+        await lockStudyUserCodes(client, studyId);
+        const report = await validateImportRows(
+          client,
+          req.user,
+          studyId,
+          rows
+        );
+
+        const summary = summariseImport(report);
+        if (summary.invalid > 0) {
+          // Nothing is written if any row fails validation
+          return { committed: false, summary, report };
+        }
+
+        for (const row of report) {
+          const insertResult = await client.query(
+            `INSERT INTO fw_psy_user (study_id, user_code, email_address)
+            VALUES ($1, $2, $3)
+            RETURNING user_id`,
+            [studyId, row.user_code, row.email]
+          );
+          row.user_id = insertResult.rows[0].user_id;
+          row.status = "created";
+
+          if (row.sample_id !== null) {
+            await client.query(
+              `INSERT INTO fw_psy_sample_user (sample_id, user_id)
+              VALUES ($1, $2)`,
+              [row.sample_id, row.user_id]
+            );
+          }
+        }
+
+        return { committed: true, summary, report };
+      });
+
+      console.log("Participant import:", {
+        studyId,
+        committed: result.committed,
+        ...result.summary,
+      });
+
+      res.status(result.committed ? 201 : 422).json({
+        success: result.committed,
+        dryRun: false,
+        ...(result.committed
+          ? {}
+          : { error: "Import rejected, no participants were created" }),
+        summary: result.summary,
+        rows: result.report,
+      });
+    } catch (error) {
+      sendWriteError(res, error, "to import participants");
+    }
+  }
+);
+
+/* PATCH update a participant's code, email or sample membership */
+router.patch("/:userId", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("WRITE_USERS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const { userCode, emailAddress, sampleIds } = req.body;
+
+    if (userCode !== undefined && (!userCode || typeof userCode !== "string")) {
+      return res
+        .status(400)
+        .json({ success: false, error: "userCode must be a non-empty string" });
+    }
+    if (emailAddress !== undefined && !isValidEmailAddress(emailAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: "emailAddress must be a valid email address",
+      });
+    }
+
+    const participant = await withTransaction(pool, async (client) => {
+      const existing = await loadWritableParticipant(
+        client,
+        req.user,
+        req.params.userId
+      );
+
+      if (userCode !== undefined || emailAddress !== undefined) {
+        if (userCode !== undefined) {
+          await assertUniqueUserCode(
+            client,
+            existing.study_id,
+            userCode.trim(),
+            existing.user_id
+          );
+        }
+        await client.query(
+          `UPDATE fw_psy_user
+          SET user_code = COALESCE($2, user_code),
+            email_address = CASE WHEN $3::boolean THEN $4 ELSE email_address END
+          WHERE user_id = $1`,
+          [
+            existing.user_id,
+            userCode !== undefined ? userCode.trim() : null,
+            emailAddress !== undefined,
+            emailAddress === undefined ? null : emailAddress,
+          ]
+        );
+      }
+
+      if (sampleIds !== undefined) {
+        const validSampleIds = await validateSampleIds(
+          client,
+          req.user,
+          existing.study_id,
+          sampleIds
+        );
+
+        // Sample admins only replace membership of their own samples;
+        // links to samples they cannot see are left untouched
+        const restrictedSampleIds = getRestrictedSampleIds(
+          req.user,
+          existing.study_id
+        );
+        await client.query(
+          `DELETE FROM fw_psy_sample_user
+          WHERE user_id = $1
+          AND ($2::text[] IS NULL OR sample_id::text = ANY($2::text[]))
+          AND NOT (sample_id::text = ANY($3::text[]))`,
+          [existing.user_id, restrictedSampleIds, validSampleIds]
+        );
+        await client.query(
+          `INSERT INTO fw_psy_sample_user (sample_id, user_id)
+          SELECT s.sample_id, $1
+          FROM fw_psy_sample s
+          WHERE s.sample_id::text = ANY($2::text[])
+          AND NOT EXISTS (
+            SELECT 1 FROM fw_psy_sample_user su
+            WHERE su.user_id = $1 AND su.sample_id = s.sample_id
+          )`,
+          [existing.user_id, validSampleIds]
+        );
+      }
+
+      return loadParticipant(client, existing.user_id);
+    });
+
+    res.json({ success: true, data: participant });
+  } catch (error) {
+    sendWriteError(res, error, "to update participant");
+  }
+});
+
+/* POST soft-deactivate a participant, keeping their data and task logs */
+router.post("/:userId/deactivate", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("WRITE_USERS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const participant = await withTransaction(pool, async (client) => {
+      const existing = await loadWritableParticipant(
+        client,
+        req.user,
+        req.params.userId
+      );
+
+      await client.query(
+        `UPDATE fw_psy_user
+        SET active = false, deactivated_time = COALESCE(deactivated_time, NOW())
+        WHERE user_id = $1`,
+        [existing.user_id]
+      );
+
+      return loadParticipant(client, existing.user_id);
+    });
+
+    console.log("Deactivated participant:", participant.user_id);
+    res.json({ success: true, data: participant });
+  } catch (error) {
+    sendWriteError(res, error, "to deactivate participant");
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,88 @@
+const express = require("express");
+const router = express.Router();
+const { Pool } = require("pg");
+const { rateLimit } = require("express-rate-limit");
+const config = require("../../config");
+const path = require("path");
+const { consumeFileShare, verifyFileShare } = require("../../utils/fileShares");
+const {
+  sendFile,
+  contentTypeFor,
+  rangeToSend,
+} = require("../../utils/fileResponse");
+const {
+  logSecurityEvent,
+  resolveSandboxedPath,
+} = require("../../utils/fileSandbox");
+
+const pool = new Pool(config.db);
+
+// Shares are unauthenticated and may have a password, so throttle guessing
+const shareLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: 20,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+});
+
+/*
+ * GET or POST the file of an external share link. This router is mounted
+ * ahead of the data access token check: the link is the credential, and
+ * it only ever grants access to the one file it was created for. The
+ * password of a protected share goes in an X-Share-Password header or a
+ * `password` field of a POSTed body.
+ */
+async function serveSharedFile(req, res) {
+  try {
+    const password =
+      req.get("x-share-password") || (req.body && req.body.password);
+
+    const share = await verifyFileShare(pool, req.params.token, req, {
+      password,
+    });
+
+    // The stored path is re-checked against the study it was shared from
+    const file = await resolveSandboxedPath(
+      config.files.study.path,
+      share.file_path,
+      { req, allowMissing: true }
+    );
+    if (file.segments[0] !== share.study_id) {
+      logSecurityEvent(req, "file share outside its study", {
+        shareId: share.share_id,
+        path: share.file_path,
+      });
+      return res.status(403).json({ error: "Share link is not valid" });
+    }
+    if (!file.stats || !file.stats.isFile()) {
+      return res.status(404).json({ error: "Shared file no longer exists" });
+    }
+
+    // Every response with file contents uses up a download and is
+    // recorded, ranges included; HEAD, 304 and 416 responses carry none
+    if (rangeToSend(req, file.stats)) {
+      await consumeFileShare(pool, share, req);
+    }
+
+    console.log(
+      `Serving study file via share ${share.share_id}: ${file.fullPath}`
+    );
+
+    await sendFile(req, res, file.fullPath, {
+      contentType: contentTypeFor(file.fullPath),
+      disposition: `attachment; filename="${path.basename(file.fullPath)}"`,
+      stats: file.stats,
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error serving file share:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+router.get("/:token", shareLimiter, serveSharedFile);
+router.post("/:token", shareLimiter, serveSharedFile);
+
+module.exports = router;
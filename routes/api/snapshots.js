@@ -0,0 +1,599 @@
+const express = require("express");
+const router = express.Router();
+const { Pool } = require("pg");
+const config = require("../../config");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const archiver = require("archiver");
+const createError = require("http-errors");
+const { hasStudyRole } = require("../../utils/access");
+const { withTransaction } = require("../../utils/db");
+const { sendFile } = require("../../utils/fileResponse");
+const { digestHeaders } = require("../../utils/checksums");
+const { resolveSandboxedPath } = require("../../utils/fileSandbox");
+const {
+  manifestPath,
+  objectPath,
+  storeObject,
+  writeManifest,
+} = require("../../utils/snapshotStore");
+
+const pool = new Pool(config.db);
+
+// Maximum number of files frozen into one snapshot
+const SNAPSHOT_MAX_FILES = 2000;
+
+// A running snapshot job that has not copied a file for this long is
+// taken to have stopped, e.g. with a server restart
+const SNAPSHOT_JOB_STALL_SECONDS = 60 * 60;
+
+/**
+ * Load a snapshot the user may read. Snapshots hold study-wide files as
+ * stored, so only the study's STUDY_ADMINs can see them.
+ */
+async function findReadableSnapshot(user, snapshotId) {
+  const result = await pool.query(
+    `SELECT * FROM fw_psy_dataset_snapshot WHERE snapshot_id::text = $1`,
+    [snapshotId]
+  );
+  const snapshot = result.rows[0];
+  if (!snapshot || !hasStudyRole(user, snapshot.study_id, "STUDY_ADMIN")) {
+    return null;
+  }
+  return snapshot;
+}
+
+/**
+ * The dataset files selected for a snapshot, with the title of the latest
+ * task instance and the sample they belong to.
+ */
+async function querySnapshotSelection({ studyId, sampleId, taskId, fileIds }) {
+  const params = [studyId];
+  const conditions = ["df.study_id = $1"];
+
+  if (fileIds) {
+    params.push(fileIds.map((id) => id.toString()));
+    conditions.push(`df.dataset_file_id::text = ANY($${params.length})`);
+  }
+  if (sampleId) {
+    params.push(sampleId.toString());
+    conditions.push(`df.sample_id::text = $${params.length}`);
+  }
+  if (taskId) {
+    params.push(taskId.toString());
+    conditions.push(`df.task_id::text = $${params.length}`);
+  }
+
+  const result = await pool.query(
+    `
+      WITH latest_task_instances AS (
+        SELECT DISTINCT ON (task_id) task_id, title as task_title
+        FROM fw_psy_task_instance
+        ORDER BY task_id, file_modified DESC
+      )
+      SELECT df.dataset_file_id, df.study_id, df.task_id, ti.task_title,
+        df.digest_def_id, df.sample_id, s.sample_code, s.sample_name,
+        df.filename, df.updated_time
+      FROM fw_psy_dataset_file df
+      LEFT JOIN latest_task_instances ti ON df.task_id = ti.task_id
+      LEFT JOIN fw_psy_sample s ON df.sample_id = s.sample_id
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY df.filename ASC
+    `,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Mark jobs that stopped making progress, e.g. because the server was
+ * restarted while they ran, as failed so their name can be used again.
+ */
+async function failStalledSnapshotJobs() {
+  await pool.query(
+    `UPDATE fw_psy_dataset_snapshot_job
+    SET status = 'failed', error = 'Stopped making progress',
+      finished_time = NOW()
+    WHERE status = 'running'
+    AND updated_time < NOW() - $1 * interval '1 second'`,
+    [SNAPSHOT_JOB_STALL_SECONDS]
+  );
+}
+
+/**
+ * Copy the selected files into the object store, write the manifest and
+ * record the snapshot, reporting progress on the job row as it goes.
+ * Runs after the request that started the job has been answered.
+ */
+async function runSnapshotJob(job, files) {
+  const { job_id: jobId, study_id: studyId, name, description } = job;
+
+  // One file at a time to keep disk load predictable
+  const entries = [];
+  for (const { sourcePath, ...file } of files) {
+    const { sha256, size } = await storeObject(sourcePath);
+    entries.push({ ...file, sha256, size });
+    await pool.query(
+      `UPDATE fw_psy_dataset_snapshot_job
+      SET files_copied = $2, updated_time = NOW()
+      WHERE job_id = $1`,
+      [jobId, entries.length]
+    );
+  }
+
+  const snapshotId = crypto.randomUUID();
+  const createdTime = new Date();
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  const manifestSha256 = await writeManifest(snapshotId, {
+    snapshot_id: snapshotId,
+    study_id: studyId,
+    name,
+    description,
+    selection: job.selection,
+    created_by: job.created_by,
+    created_time: createdTime.toISOString(),
+    file_count: entries.length,
+    total_size: totalSize,
+    files: entries.map((entry) => ({
+      dataset_file_id: entry.dataset_file_id,
+      filename: entry.filename,
+      sha256: entry.sha256,
+      size: entry.size,
+      task_id: entry.task_id,
+      task_title: entry.task_title,
+      digest_def_id: entry.digest_def_id,
+      sample: entry.sample_id
+        ? {
+            id: entry.sample_id,
+            code: entry.sample_code,
+            name: entry.sample_name,
+          }
+        : null,
+      updated_time: entry.updated_time,
+    })),
+  });
+
+  try {
+    await withTransaction(pool, async (client) => {
+      await client.query(
+        `INSERT INTO fw_psy_dataset_snapshot
+          (snapshot_id, study_id, name, description, selection, file_count,
+           total_size, manifest_sha256, created_by, created_time)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          snapshotId,
+          studyId,
+          name,
+          description,
+          JSON.stringify(job.selection),
+          entries.length,
+          totalSize,
+          manifestSha256,
+          job.created_by,
+          createdTime,
+        ]
+      );
+      for (const entry of entries) {
+        await client.query(
+          `INSERT INTO fw_psy_dataset_snapshot_file
+            (snapshot_id, dataset_file_id, filename, sha256, size, task_id,
+             task_title, digest_def_id, sample_id, updated_time)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [
+            snapshotId,
+            entry.dataset_file_id,
+            entry.filename,
+            entry.sha256,
+            entry.size,
+            entry.task_id,
+            entry.task_title,
+            entry.digest_def_id,
+            entry.sample_id,
+            entry.updated_time,
+          ]
+        );
+      }
+      await client.query(
+        `UPDATE fw_psy_dataset_snapshot_job
+        SET status = 'complete', snapshot_id = $2, updated_time = NOW(),
+          finished_time = NOW()
+        WHERE job_id = $1`,
+        [jobId, snapshotId]
+      );
+    });
+  } catch (error) {
+    // The manifest of a snapshot that was never recorded is unreachable
+    await fs.promises.unlink(manifestPath(snapshotId)).catch(() => {});
+    if (error.code === "23505") {
+      throw createError(409, `Snapshot '${name}' already exists`);
+    }
+    throw error;
+  }
+
+  console.log(
+    `Created snapshot ${snapshotId} of ${entries.length} files for study ${studyId}`
+  );
+}
+
+/**
+ * Start a snapshot job in the background. Its outcome is only recorded on
+ * the job row: client errors keep their message, anything else is logged.
+ */
+function startSnapshotJob(job, files) {
+  setImmediate(async () => {
+    try {
+      await runSnapshotJob(job, files);
+    } catch (error) {
+      if (!(error.status && error.status < 500)) {
+        console.error(`Error in snapshot job ${job.job_id}:`, error);
+      }
+      await pool
+        .query(
+          `UPDATE fw_psy_dataset_snapshot_job
+          SET status = 'failed', error = $2, updated_time = NOW(),
+            finished_time = NOW()
+          WHERE job_id = $1`,
+          [
+            job.job_id,
+            error.status && error.status < 500
+              ? error.message
+              : "Internal server error",
+          ]
+        )
+        .catch((updateError) => {
+          console.error(
+            `Error recording failure of snapshot job ${job.job_id}:`,
+            updateError
+          );
+        });
+    }
+  });
+}
+
+/*
+ * POST freeze dataset files into a new snapshot. The body names the
+ * study and optionally narrows the selection by sampleId, taskId or
+ * fileIds. The selection is checked straight away; copying the file
+ * contents into the content-addressed store runs in the background, so
+ * this answers 202 with a job to follow at GET /jobs/:jobId. Neither the
+ * stored files nor the manifest describing them can be changed afterwards.
+ */
+router.post("/", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("ADMIN")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const {
+      studyId,
+      sampleId,
+      taskId,
+      fileIds,
+      name,
+      description = null,
+    } = req.body;
+
+    if (!studyId) {
+      return res.status(400).json({ error: "studyId is required" });
+    }
+    if (!hasStudyRole(req.user, studyId, "STUDY_ADMIN")) {
+      return res.status(403).json({ error: "Unauthorized study access" });
+    }
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "name is required" });
+    }
+    if (
+      fileIds !== undefined &&
+      (!Array.isArray(fileIds) || fileIds.length === 0)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "fileIds must be a non-empty array" });
+    }
+
+    const existing = await pool.query(
+      `SELECT 1 FROM fw_psy_dataset_snapshot WHERE study_id = $1 AND name = $2`,
+      [studyId, name.trim()]
+    );
+    if (existing.rows.length > 0) {
+      return res
+        .status(409)
+        .json({ error: `Snapshot '${name.trim()}' already exists` });
+    }
+
+    const files = await querySnapshotSelection({
+      studyId,
+      sampleId,
+      taskId,
+      fileIds,
+    });
+    if (files.length === 0) {
+      return res.status(404).json({ error: "No matching dataset files" });
+    }
+    if (files.length > SNAPSHOT_MAX_FILES) {
+      return res.status(400).json({
+        error: `Snapshot would contain ${files.length} files, the maximum is ${SNAPSHOT_MAX_FILES}`,
+      });
+    }
+
+    // Stored filenames go through the file sandbox before anything is read
+    const missing = [];
+    for (const file of files) {
+      const source = await resolveSandboxedPath(
+        config.files.datasets.path,
+        file.filename,
+        { req, allowMissing: true }
+      );
+      if (source.stats && source.stats.isFile()) {
+        file.sourcePath = source.fullPath;
+      } else {
+        missing.push(file);
+      }
+    }
+    if (missing.length > 0) {
+      return res.status(409).json({
+        error: "Some dataset files are missing on disk",
+        fileIds: missing.map((file) => file.dataset_file_id),
+      });
+    }
+
+    await failStalledSnapshotJobs();
+    const selection = {
+      studyId,
+      sampleId: sampleId || null,
+      taskId: taskId || null,
+      fileIds: fileIds || null,
+    };
+    let job;
+    try {
+      const result = await pool.query(
+        `INSERT INTO fw_psy_dataset_snapshot_job
+          (job_id, study_id, name, description, selection, file_count,
+           created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *`,
+        [
+          crypto.randomUUID(),
+          studyId,
+          name.trim(),
+          description,
+          JSON.stringify(selection),
+          files.length,
+          req.user.id,
+        ]
+      );
+      job = result.rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw createError(
+          409,
+          `Snapshot '${name.trim()}' is already being created`
+        );
+      }
+      throw error;
+    }
+
+    startSnapshotJob(job, files);
+
+    console.log(
+      `Started snapshot job ${job.job_id} of ${files.length} files for study ${studyId}`
+    );
+    res.status(202).location(`${req.baseUrl}/jobs/${job.job_id}`).json(job);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error creating dataset snapshot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* GET the status and progress of a snapshot job */
+router.get("/jobs/:jobId", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    await failStalledSnapshotJobs();
+    const result = await pool.query(
+      `SELECT * FROM fw_psy_dataset_snapshot_job WHERE job_id::text = $1`,
+      [req.params.jobId]
+    );
+    const job = result.rows[0];
+    if (!job || !hasStudyRole(req.user, job.study_id, "STUDY_ADMIN")) {
+      return res.status(404).json({ error: "Snapshot job not found" });
+    }
+
+    res.status(200).json(job);
+  } catch (error) {
+    console.error("Error fetching snapshot job:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* GET snapshots of the studies the caller administers, ?studyId= to narrow */
+router.get("/", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const studyIds = req.user
+      .getAccessibleStudies("STUDY_ADMIN")
+      .map((id) => id.toString())
+      .filter(
+        (id) => !req.query.studyId || id === req.query.studyId.toString()
+      );
+
+    const result = await pool.query(
+      `SELECT * FROM fw_psy_dataset_snapshot
+      WHERE study_id = ANY($1::text[])
+      ORDER BY created_time DESC`,
+      [studyIds]
+    );
+
+    res.status(200).json(result.rows);
+  } catch (error) {
+    console.error("Error listing dataset snapshots:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* GET a snapshot with the files it holds */
+router.get("/:snapshotId", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const snapshot = await findReadableSnapshot(
+      req.user,
+      req.params.snapshotId
+    );
+    if (!snapshot) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+
+    const files = await pool.query(
+      `SELECT * FROM fw_psy_dataset_snapshot_file
+      WHERE snapshot_id = $1
+      ORDER BY filename ASC`,
+      [snapshot.snapshot_id]
+    );
+
+    res.status(200).json({ ...snapshot, files: files.rows });
+  } catch (error) {
+    console.error("Error fetching dataset snapshot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* GET the manifest of a snapshot as written when it was created */
+router.get("/:snapshotId/manifest", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const snapshot = await findReadableSnapshot(
+      req.user,
+      req.params.snapshotId
+    );
+    if (!snapshot) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+
+    await sendFile(req, res, manifestPath(snapshot.snapshot_id), {
+      contentType: "application/json",
+      disposition: `attachment; filename="snapshot-${snapshot.snapshot_id}.json"`,
+      etag: `"${snapshot.manifest_sha256}"`,
+      headers: digestHeaders(snapshot.manifest_sha256),
+    });
+  } catch (error) {
+    console.error("Error fetching snapshot manifest:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* GET one file of a snapshot */
+router.get("/:snapshotId/files/:datasetFileId", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const snapshot = await findReadableSnapshot(
+      req.user,
+      req.params.snapshotId
+    );
+    if (!snapshot) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM fw_psy_dataset_snapshot_file
+      WHERE snapshot_id = $1 AND dataset_file_id = $2`,
+      [snapshot.snapshot_id, req.params.datasetFileId]
+    );
+    const file = result.rows[0];
+    if (!file) {
+      return res.status(404).json({ error: "File not found in snapshot" });
+    }
+
+    // Content-addressed, so the checksum is a permanent validator
+    await sendFile(req, res, objectPath(file.sha256), {
+      contentType: "application/octet-stream",
+      disposition: `attachment; filename="${path.basename(file.filename)}"`,
+      etag: `"${file.sha256}"`,
+      headers: digestHeaders(file.sha256),
+    });
+  } catch (error) {
+    console.error("Error fetching snapshot file:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/* GET a whole snapshot as a ZIP with its manifest */
+router.get("/:snapshotId/download", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_DATASETS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const snapshot = await findReadableSnapshot(
+      req.user,
+      req.params.snapshotId
+    );
+    if (!snapshot) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+
+    const files = await pool.query(
+      `SELECT * FROM fw_psy_dataset_snapshot_file
+      WHERE snapshot_id = $1
+      ORDER BY filename ASC`,
+      [snapshot.snapshot_id]
+    );
+
+    const archive = archiver("zip", { zlib: { level: 6 } });
+    archive.on("warning", (error) => {
+      console.warn("Snapshot archive warning:", error);
+    });
+    archive.on("error", (error) => {
+      console.error("Error building snapshot archive:", error);
+      res.destroy(error);
+    });
+    res.on("close", () => {
+      if (!res.writableFinished) archive.abort();
+    });
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="snapshot-${snapshot.snapshot_id}.zip"`
+    );
+    archive.pipe(res);
+
+    // archiver opens the files lazily, one at a time
+    files.rows.forEach((file) => {
+      archive.file(objectPath(file.sha256), {
+        name: file.filename,
+        date: file.updated_time || undefined,
+      });
+    });
+    archive.file(manifestPath(snapshot.snapshot_id), {
+      name: "manifest.json",
+    });
+    await archive.finalize();
+  } catch (error) {
+    console.error("Error downloading dataset snapshot:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+});
+
+module.exports = router;
@@ -1,64 +1,92 @@
 const express = require("express");
 const router = express.Router();
 const { Pool } = require("pg");
+const createError = require("http-errors");
 const config = require("../../config");
+const { ROLE_PERMISSIONS } = require("../../middleware/auth");
+const {
+  getStudyAccess,
+  getVisibleSampleIds,
+  hasStudyRole,
+} = require("../../utils/access");
+const { withTransaction } = require("../../utils/db");
 
 const pool = new Pool(config.db);
 
 /**
- * Get all studies and their samples
- * This endpoint is accessible to all authenticated users
+ * Get the studies the caller can access and their samples, annotated with
+ * the caller's role and effective permissions on each study. Sample admins
+ * only see their own samples. Holders of the ADMIN permission can pass
+ * ?all=true to list every study.
  */
 router.get("/", async (req, res) => {
   try {
-    console.log("Fetching studies...");
+    const all = req.query.all === "true";
+    if (all && !req.user.permissions.includes("ADMIN")) {
+      return res.status(403).json({
+        success: false,
+        error: "Insufficient permissions",
+      });
+    }
+
+    const accessibleStudies = req.user
+      .getAccessibleStudies()
+      .map((studyId) => studyId.toString());
+    console.log("Fetching studies...", { all, accessibleStudies });
+
     const query = `
       SELECT * FROM fw_psy_study 
       LEFT JOIN fw_psy_sample USING (study_id)
+      ${all ? "" : "WHERE study_id::text = ANY($1::text[])"}
+      ORDER BY study_id, sample_id
     `;
 
-    const result = await pool.query(query);
-    console.log("Query result:", JSON.stringify(result.rows, null, 2));
+    const result = await pool.query(query, all ? [] : [accessibleStudies]);
+    console.log("Query returned rows:", result.rows.length);
 
     // Group samples by study_id in JavaScript
     const studiesMap = new Map();
 
     result.rows.forEach((row) => {
-      console.log("Processing row:", JSON.stringify(row, null, 2));
       if (!studiesMap.has(row.study_id)) {
+        const access = getStudyAccess(req.user, row.study_id);
         // Create new study entry with all study fields
         const study = {
           study_id: row.study_id,
           terms: row.terms,
+          role: access ? access.role : null,
+          permissions: access ? ROLE_PERMISSIONS[access.role] || [] : [],
           samples: [],
         };
-        console.log("Created new study:", JSON.stringify(study, null, 2));
         studiesMap.set(row.study_id, study);
       }
 
       // Add sample if it exists (if sample_id is not null)
       if (row.sample_id) {
-        const sample = {
+        // Sample admins only see their own samples, except in ?all=true mode
+        const visibleSampleIds = all
+          ? null
+          : getVisibleSampleIds(req.user, row.study_id);
+        if (
+          visibleSampleIds &&
+          !visibleSampleIds.includes(row.sample_id.toString())
+        ) {
+          return;
+        }
+
+        studiesMap.get(row.study_id).samples.push({
           sample_id: row.sample_id,
           sample_code: row.sample_code,
           sample_name: row.sample_name,
-        };
-        console.log(
-          "Adding sample to study:",
-          row.study_id,
-          JSON.stringify(sample, null, 2)
-        );
-        studiesMap.get(row.study_id).samples.push(sample);
+          archived: row.archived,
+        });
       }
     });
 
-    const response = {
+    res.json({
       success: true,
       data: Array.from(studiesMap.values()),
-    };
-
-    console.log("Final response:", JSON.stringify(response, null, 2));
-    res.json(response);
+    });
   } catch (error) {
     console.error("Error fetching studies and samples:", error);
     res.status(500).json({
@@ -68,4 +96,277 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * Middleware restricting sample management to holders of the ADMIN
+ * permission with a STUDY_ADMIN role on the study in the URL.
+ */
+function requireStudyAdmin(req, res, next) {
+  if (!req.user.permissions.includes("ADMIN")) {
+    return res.status(403).json({ error: "Insufficient permissions" });
+  }
+  if (!hasStudyRole(req.user, req.params.studyId, "STUDY_ADMIN")) {
+    return res.status(403).json({ error: "Unauthorized study access" });
+  }
+  next();
+}
+
+async function loadSample(client, studyId, sampleId) {
+  const result = await client.query(
+    `SELECT * FROM fw_psy_sample
+    WHERE study_id = $1 AND sample_id::text = $2::text
+    FOR UPDATE`,
+    [studyId, sampleId]
+  );
+  if (result.rows.length === 0) {
+    throw createError(404, "Sample not found");
+  }
+  return result.rows[0];
+}
+
+async function assertUniqueSampleCode(client, studyId, sampleCode, sampleId) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+    `fw_psy_sample:${studyId}:${sampleCode}`,
+  ]);
+  const result = await client.query(
+    `SELECT sample_id FROM fw_psy_sample
+    WHERE study_id = $1 AND sample_code = $2
+    AND ($3::text IS NULL OR sample_id::text <> $3::text)`,
+    [studyId, sampleCode, sampleId || null]
+  );
+  if (result.rows.length > 0) {
+    throw createError(
+      409,
+      `Sample code '${sampleCode}' already exists in study ${studyId}`
+    );
+  }
+}
+
+function sendWriteError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res
+      .status(error.status)
+      .json({ success: false, error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ success: false, error: `Failed ${action}` });
+}
+
+/* POST create a sample in a study */
+router.post("/:studyId/samples", requireStudyAdmin, async (req, res) => {
+  try {
+    const { studyId } = req.params;
+    const { sampleCode, sampleName = null } = req.body;
+
+    if (!sampleCode || typeof sampleCode !== "string") {
+      return res
+        .status(400)
+        .json({ success: false, error: "sampleCode is required" });
+    }
+
+    const sample = await withTransaction(pool, async (client) => {
+      await assertUniqueSampleCode(client, studyId, sampleCode.trim());
+      const result = await client.query(
+        `INSERT INTO fw_psy_sample (study_id, sample_code, sample_name)
+        VALUES ($1, $2, $3)
+        RETURNING *`,
+        [studyId, sampleCode.trim(), sampleName]
+      );
+      return result.rows[0];
+    });
+
+    res.status(201).json({ success: true, data: sample });
+  } catch (error) {
+    sendWriteError(res, error, "to create sample");
+  }
+});
+
+/* PATCH rename a sample */
+router.patch(
+  "/:studyId/samples/:sampleId",
+  requireStudyAdmin,
+  async (req, res) => {
+    try {
+      const { studyId, sampleId } = req.params;
+      const { sampleCode, sampleName } = req.body;
+
+      if (
+        sampleCode !== undefined &&
+        (!sampleCode || typeof sampleCode !== "string")
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "sampleCode must be a non-empty string",
+        });
+      }
+
+      const sample = await withTransaction(pool, async (client) => {
+        const existing = await loadSample(client, studyId, sampleId);
+        if (sampleCode !== undefined) {
+          await assertUniqueSampleCode(
+            client,
+            studyId,
+            sampleCode.trim(),
+            existing.sample_id
+          );
+        }
+
+        const result = await client.query(
+          `UPDATE fw_psy_sample
+          SET sample_code = COALESCE($2, sample_code),
+            sample_name = CASE WHEN $3::boolean THEN $4 ELSE sample_name END
+          WHERE sample_id = $1
+          RETURNING *`,
+          [
+            existing.sample_id,
+            sampleCode !== undefined ? sampleCode.trim() : null,
+            sampleName !== undefined,
+            sampleName === undefined ? null : sampleName,
+          ]
+        );
+        return result.rows[0];
+      });
+
+      res.json({ success: true, data: sample });
+    } catch (error) {
+      sendWriteError(res, error, "to update sample");
+    }
+  }
+);
+
+/* POST archive a sample, keeping its participants and data */
+router.post(
+  "/:studyId/samples/:sampleId/archive",
+  requireStudyAdmin,
+  async (req, res) => {
+    try {
+      const { studyId, sampleId } = req.params;
+
+      const sample = await withTransaction(pool, async (client) => {
+        const existing = await loadSample(client, studyId, sampleId);
+        const result = await client.query(
+          `UPDATE fw_psy_sample
+          SET archived = true, archived_time = COALESCE(archived_time, NOW())
+          WHERE sample_id = $1
+          RETURNING *`,
+          [existing.sample_id]
+        );
+        return result.rows[0];
+      });
+
+      res.json({ success: true, data: sample });
+    } catch (error) {
+      sendWriteError(res, error, "to archive sample");
+    }
+  }
+);
+
+/*
+ * POST move participants from one sample to another in the same study.
+ * The response lists the task logs and dataset files whose sample-level
+ * data is affected by the move.
+ */
+router.post(
+  "/:studyId/samples/:sampleId/move",
+  requireStudyAdmin,
+  async (req, res) => {
+    try {
+      const { studyId, sampleId } = req.params;
+      const { userIds, toSampleId } = req.body;
+
+      if (!Array.isArray(userIds) || userIds.length === 0 || !toSampleId) {
+        return res.status(400).json({
+          success: false,
+          error: "userIds (non-empty array) and toSampleId are required",
+        });
+      }
+
+      const result = await withTransaction(pool, async (client) => {
+        const fromSample = await loadSample(client, studyId, sampleId);
+        const toSample = await loadSample(client, studyId, toSampleId);
+        if (fromSample.sample_id === toSample.sample_id) {
+          throw createError(400, "Source and target sample are the same");
+        }
+        if (toSample.archived) {
+          throw createError(
+            400,
+            "Cannot move participants into an archived sample"
+          );
+        }
+
+        const ids = userIds.map((id) => id.toString());
+        const moved = await client.query(
+          `DELETE FROM fw_psy_sample_user
+          WHERE sample_id = $1 AND user_id::text = ANY($2::text[])
+          RETURNING user_id`,
+          [fromSample.sample_id, ids]
+        );
+        const movedIds = moved.rows.map((row) => row.user_id.toString());
+        const notInSample = ids.filter((id) => !movedIds.includes(id));
+        if (notInSample.length > 0) {
+          throw createError(
+            400,
+            `Users not in sample ${fromSample.sample_id}: ${notInSample.join(
+              ", "
+            )}`
+          );
+        }
+
+        await client.query(
+          `INSERT INTO fw_psy_sample_user (sample_id, user_id)
+          SELECT $1, u.user_id
+          FROM fw_psy_user u
+          WHERE u.user_id::text = ANY($2::text[])
+          AND NOT EXISTS (
+            SELECT 1 FROM fw_psy_sample_user su
+            WHERE su.sample_id = $1 AND su.user_id = u.user_id
+          )`,
+          [toSample.sample_id, movedIds]
+        );
+
+        const [taskLogs, datasetFiles] = await Promise.all([
+          client.query(
+            `SELECT l.task_log_id, ut.user_id, ut.task_id, l.submission_time
+            FROM fw_psy_user_task_log l
+            INNER JOIN fw_psy_user_task ut ON l.user_task_id = ut.user_task_id
+            WHERE ut.user_id::text = ANY($1::text[])
+            ORDER BY l.task_log_id ASC`,
+            [movedIds]
+          ),
+          // Sample-level dataset files of both samples contain stale rows
+          // until the digest pipeline regenerates them
+          client.query(
+            `SELECT df.dataset_file_id, df.sample_id, df.task_id, df.filename
+            FROM fw_psy_dataset_file df
+            WHERE df.study_id = $1 AND df.sample_id::text = ANY($2::text[])
+            ORDER BY df.dataset_file_id ASC`,
+            [
+              studyId,
+              [fromSample.sample_id.toString(), toSample.sample_id.toString()],
+            ]
+          ),
+        ]);
+
+        return {
+          from_sample_id: fromSample.sample_id,
+          to_sample_id: toSample.sample_id,
+          moved_user_ids: moved.rows.map((row) => row.user_id),
+          affected: {
+            task_logs: taskLogs.rows,
+            dataset_files: datasetFiles.rows,
+          },
+        };
+      });
+
+      console.log("Moved participants between samples:", {
+        from: result.from_sample_id,
+        to: result.to_sample_id,
+        count: result.moved_user_ids.length,
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendWriteError(res, error, "to move participants");
+    }
+  }
+);
+
 module.exports = router;
@@ -1,66 +1,244 @@
 const express = require("express");
 const router = express.Router();
 const { Pool } = require("pg");
+const createError = require("http-errors");
 const config = require("../../config");
-const { ROLES } = require("../../constants");
+const { buildAccessClause } = require("../../utils/access");
+const {
+  resolveExportFormat,
+  streamQueryExport,
+} = require("../../utils/export");
 
 const pool = new Pool(config.db);
 
-/* GET task logs with permission check and study/sample filter */
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Columns that can be used as the keyset for cursor pagination
+const SORT_COLUMNS = {
+  task_log_id: "l.task_log_id",
+  submission_time: "l.submission_time",
+};
+
+/**
+ * Build the optional filter conditions from the query string, pushing
+ * their parameters onto `params`. Throws a 400-worthy error on bad input.
+ */
+function buildFilterConditions(query, params) {
+  const conditions = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (query.studyId) {
+    addCondition("u.study_id = ?", query.studyId);
+  }
+  if (query.sampleId) {
+    addCondition(
+      `EXISTS (
+        SELECT 1 FROM fw_psy_sample_user fsu
+        WHERE fsu.user_id = u.user_id
+        AND fsu.sample_id::text = ?::text
+      )`,
+      query.sampleId
+    );
+  }
+  if (query.taskId) {
+    addCondition("ut.task_id::text = ?::text", query.taskId);
+  }
+  if (query.taskInstanceId) {
+    addCondition("l.task_instance_id::text = ?::text", query.taskInstanceId);
+  }
+  if (query.userId) {
+    addCondition("u.user_id::text = ?::text", query.userId);
+  }
+  if (query.from) {
+    addCondition("l.submission_time >= ?", parseDate(query.from, "from"));
+  }
+  if (query.to) {
+    addCondition("l.submission_time <= ?", parseDate(query.to, "to"));
+  }
+  if (query.processed !== undefined) {
+    if (query.processed === "true") {
+      conditions.push("l.processed_time IS NOT NULL");
+    } else if (query.processed === "false") {
+      conditions.push("l.processed_time IS NULL");
+    } else {
+      throw createError(400, "processed must be 'true' or 'false'");
+    }
+  }
+
+  return conditions;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw createError(400, `Invalid ${name} date`);
+  }
+  return date.toISOString();
+}
+
+// Cursors are opaque base64url-encoded JSON holding the last row's keyset
+function encodeCursor(sortBy, row) {
+  return Buffer.from(
+    JSON.stringify({ s: sortBy, v: row.cursor_value, id: row.task_log_id })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor, sortBy) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (decoded.s !== sortBy || decoded.id === undefined) {
+      throw new Error("Cursor does not match sort order");
+    }
+    return decoded;
+  } catch (error) {
+    throw createError(400, "Invalid cursor");
+  }
+}
+
+/* GET task logs with permission check, filters and cursor pagination */
 router.get("/", async (req, res) => {
   try {
     if (!req.user.permissions.includes("READ_LOGS")) {
       return res.status(403).json({ error: "Insufficient permissions" });
     }
 
-    const queryParts = req.user.studyAccess.map((access, idx) => {
-      const param = `$${idx + 1}`;
-      if (ROLES[access.role] === ROLES.STUDY_ADMIN) {
-        return `(u.study_id = ${param})`;
-      } else if (access.role === "SAMPLE_ADMIN") {
-        // For sample admins, check against fw_psy_sample_user table
-        return `(u.study_id = ${param} AND EXISTS (
-          SELECT 1 FROM fw_psy_sample_user su 
-          WHERE su.user_id = u.user_id 
-          AND su.sample_id::text = ANY($${
-            idx + 1 + req.user.studyAccess.length
-          }::text[])
-        ))`;
-      }
-      return `(u.study_id = ${param})`;
-    });
+    const {
+      cursor,
+      pageSize = String(DEFAULT_PAGE_SIZE),
+      sortBy = "task_log_id",
+      sortOrder = "asc",
+    } = req.query;
+
+    if (!SORT_COLUMNS[sortBy]) {
+      return res.status(400).json({
+        error: `sortBy must be one of: ${Object.keys(SORT_COLUMNS).join(", ")}`,
+      });
+    }
+
+    const pageSizeNum = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(pageSize) || DEFAULT_PAGE_SIZE)
+    );
+    const direction = sortOrder === "desc" ? "DESC" : "ASC";
+    const sortColumn = SORT_COLUMNS[sortBy];
+
+    // Access scoping and filters are shared by the count and data queries
+    const params = [];
+    const conditions = [
+      buildAccessClause(req.user.studyAccess, params),
+      ...buildFilterConditions(req.query, params),
+    ];
+    const countParams = [...params];
+    const countConditions = [...conditions];
+
+    // Keyset condition: rows strictly after the cursor in the sort order
+    if (cursor) {
+      const { v, id } = decodeCursor(cursor, sortBy);
+      params.push(v, id);
+      conditions.push(
+        `(${sortColumn}, l.task_log_id) ${direction === "DESC" ? "<" : ">"} ($${
+          params.length - 1
+        }, $${params.length})`
+      );
+    }
 
+    params.push(pageSizeNum + 1);
     const query = `
-      SELECT l.* 
+      SELECT l.*, ${sortColumn}::text as cursor_value
       FROM fw_psy_user_task_log l
       INNER JOIN fw_psy_user_task ut ON l.user_task_id = ut.user_task_id
       INNER JOIN fw_psy_user u ON ut.user_id = u.user_id
-      WHERE ${queryParts.join(" OR ")}
-      ORDER BY l.user_task_id ASC
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ${sortColumn} ${direction}, l.task_log_id ${direction}
+      LIMIT $${params.length}
     `;
 
-    // Prepare parameters with proper type casting for arrays
-    const params = [...req.user.studyAccess.map((access) => access.studyId)];
-
-    // Add sample IDs arrays with explicit type casting
-    req.user.studyAccess
-      .filter((access) => access.role === "SAMPLE_ADMIN")
-      .forEach((access) => {
-        // Ensure sampleIds is an array and cast it to a PostgreSQL array
-        const sampleIdsArray = Array.isArray(access.sampleIds)
-          ? access.sampleIds
-          : [];
-        params.push(sampleIdsArray);
-      });
+    const countQuery = `
+      SELECT COUNT(*)
+      FROM fw_psy_user_task_log l
+      INNER JOIN fw_psy_user_task ut ON l.user_task_id = ut.user_task_id
+      INNER JOIN fw_psy_user u ON ut.user_id = u.user_id
+      WHERE ${countConditions.join(" AND ")}
+    `;
 
     console.log("Task logs parameters:", params);
 
-    const results = await pool.query(query, params);
-    res.status(200).json(results.rows);
+    const [results, countResult] = await Promise.all([
+      pool.query(query, params),
+      pool.query(countQuery, countParams),
+    ]);
+
+    // We fetched one extra row to find out whether another page exists
+    const hasMore = results.rows.length > pageSizeNum;
+    const rows = results.rows.slice(0, pageSizeNum);
+    const nextCursor =
+      hasMore && rows.length > 0
+        ? encodeCursor(sortBy, rows[rows.length - 1])
+        : null;
+
+    res.status(200).json({
+      success: true,
+      data: rows.map(({ cursor_value, ...row }) => row),
+      pagination: {
+        pageSize: pageSizeNum,
+        totalRows: parseInt(countResult.rows[0].count),
+        sortBy,
+        sortOrder: direction.toLowerCase(),
+        next_cursor: nextCursor,
+      },
+    });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error("Error fetching task logs:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+/* GET task logs export as streamed CSV or NDJSON, same filters as the listing */
+router.get("/export", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("READ_LOGS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const format = resolveExportFormat(req);
+
+    const params = [];
+    const conditions = [
+      buildAccessClause(req.user.studyAccess, params),
+      ...buildFilterConditions(req.query, params),
+    ];
+
+    const query = `
+      SELECT l.*, u.study_id, u.user_id, u.user_code, ut.task_id
+      FROM fw_psy_user_task_log l
+      INNER JOIN fw_psy_user_task ut ON l.user_task_id = ut.user_task_id
+      INNER JOIN fw_psy_user u ON ut.user_id = u.user_id
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY l.task_log_id ASC
+    `;
+
+    console.log("Task logs export parameters:", params);
+
+    await streamQueryExport(pool, res, {
+      query,
+      params,
+      format,
+      filename: "tasklogs",
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error exporting task logs:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 module.exports = router;
@@ -1,8 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const { Pool } = require("pg");
+const createError = require("http-errors");
 const config = require("../../config");
 const { ROLES } = require("../../constants");
+const { hasStudyRole } = require("../../utils/access");
+const { withTransaction } = require("../../utils/db");
 
 const pool = new Pool(config.db);
 
@@ -71,4 +74,221 @@ router.get("/:userId", async (req, res) => {
   }
 });
 
+/**
+ * Load a participant whose tasks the user may manage. Task assignment
+ * needs WRITE_TASKS and a STUDY_ADMIN role on the participant's study.
+ */
+async function loadManagedParticipant(client, user, userId) {
+  const result = await client.query(
+    `SELECT user_id, study_id FROM fw_psy_user
+    WHERE user_id::text = $1::text
+    FOR UPDATE`,
+    [userId]
+  );
+  const participant = result.rows[0];
+  if (
+    !participant ||
+    !hasStudyRole(user, participant.study_id, "STUDY_ADMIN")
+  ) {
+    throw createError(404, "User not found or access denied");
+  }
+  return participant;
+}
+
+async function assertTaskExists(client, taskId) {
+  const result = await client.query(
+    `SELECT 1 FROM fw_psy_task_instance WHERE task_id::text = $1::text LIMIT 1`,
+    [taskId]
+  );
+  if (result.rows.length === 0) {
+    throw createError(400, `Unknown task ${taskId}`);
+  }
+}
+
+// Serialise assignments of the same task so duplicates cannot slip in
+async function lockTask(client, taskId) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+    `fw_psy_user_task:${taskId}`,
+  ]);
+}
+
+async function loadAssignments(client, userId) {
+  const result = await client.query(
+    `SELECT ut.* FROM fw_psy_user_task ut
+    WHERE ut.user_id = $1
+    ORDER BY ut.user_task_id ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+function sendWriteError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: "Internal server error" });
+}
+
+/* POST assign a task to a participant */
+router.post("/:userId", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("WRITE_TASKS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const { taskId, enabled = true } = req.body;
+    if (!taskId) {
+      return res.status(400).json({ error: "Missing task ID" });
+    }
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be a boolean" });
+    }
+
+    const assignments = await withTransaction(pool, async (client) => {
+      const participant = await loadManagedParticipant(
+        client,
+        req.user,
+        req.params.userId
+      );
+      await assertTaskExists(client, taskId);
+      await lockTask(client, taskId);
+
+      const existing = await client.query(
+        `SELECT user_task_id FROM fw_psy_user_task
+        WHERE user_id = $1 AND task_id::text = $2::text`,
+        [participant.user_id, taskId]
+      );
+      if (existing.rows.length > 0) {
+        throw createError(
+          409,
+          `Task ${taskId} is already assigned to user ${participant.user_id}`
+        );
+      }
+
+      await client.query(
+        `INSERT INTO fw_psy_user_task (user_id, task_id, enabled)
+        VALUES ($1, $2, $3)`,
+        [participant.user_id, taskId, enabled]
+      );
+
+      return loadAssignments(client, participant.user_id);
+    });
+
+    res.status(201).json(assignments);
+  } catch (error) {
+    sendWriteError(res, error, "assigning user task");
+  }
+});
+
+/* PATCH enable or disable an existing task assignment */
+router.patch("/:userId/:userTaskId", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("WRITE_TASKS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const { enabled } = req.body;
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be a boolean" });
+    }
+
+    const assignments = await withTransaction(pool, async (client) => {
+      const participant = await loadManagedParticipant(
+        client,
+        req.user,
+        req.params.userId
+      );
+
+      const result = await client.query(
+        `UPDATE fw_psy_user_task SET enabled = $3
+        WHERE user_id = $1 AND user_task_id::text = $2::text`,
+        [participant.user_id, req.params.userTaskId, enabled]
+      );
+      if (result.rowCount === 0) {
+        throw createError(404, "User task not found");
+      }
+
+      return loadAssignments(client, participant.user_id);
+    });
+
+    res.status(200).json(assignments);
+  } catch (error) {
+    sendWriteError(res, error, "updating user task");
+  }
+});
+
+/* POST assign a task to every active participant in a sample */
+router.post("/sample/:sampleId", async (req, res) => {
+  try {
+    if (!req.user.permissions.includes("WRITE_TASKS")) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const { taskId, enabled = true } = req.body;
+    if (!taskId) {
+      return res.status(400).json({ error: "Missing task ID" });
+    }
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be a boolean" });
+    }
+
+    const result = await withTransaction(pool, async (client) => {
+      const sampleResult = await client.query(
+        `SELECT sample_id, study_id FROM fw_psy_sample
+        WHERE sample_id::text = $1::text`,
+        [req.params.sampleId]
+      );
+      const sample = sampleResult.rows[0];
+      if (!sample || !hasStudyRole(req.user, sample.study_id, "STUDY_ADMIN")) {
+        throw createError(404, "Sample not found or access denied");
+      }
+
+      await assertTaskExists(client, taskId);
+      await lockTask(client, taskId);
+
+      // Participants who already have the task keep their existing row
+      const inserted = await client.query(
+        `INSERT INTO fw_psy_user_task (user_id, task_id, enabled)
+        SELECT u.user_id, $2, $3
+        FROM fw_psy_sample_user su
+        INNER JOIN fw_psy_user u ON su.user_id = u.user_id
+        WHERE su.sample_id = $1
+        AND u.study_id = $4
+        AND u.active
+        AND NOT EXISTS (
+          SELECT 1 FROM fw_psy_user_task ut
+          WHERE ut.user_id = u.user_id AND ut.task_id = $2
+        )
+        RETURNING user_task_id`,
+        [sample.sample_id, taskId, enabled, sample.study_id]
+      );
+
+      const assignments = await client.query(
+        `SELECT ut.* FROM fw_psy_user_task ut
+        INNER JOIN fw_psy_sample_user su ON ut.user_id = su.user_id
+        WHERE su.sample_id = $1 AND ut.task_id::text = $2::text
+        ORDER BY ut.user_id ASC`,
+        [sample.sample_id, taskId]
+      );
+
+      return {
+        sample_id: sample.sample_id,
+        task_id: taskId,
+        assigned: inserted.rowCount,
+        assignments: assignments.rows,
+      };
+    });
+
+    console.log("Bulk task assignment:", {
+      sampleId: result.sample_id,
+      taskId,
+      assigned: result.assigned,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    sendWriteError(res, error, "bulk assigning user task");
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  getRestrictedSampleIds,
+  getVisibleSampleIds,
+} = require("../utils/access");
+
+function userWith(...studyAccess) {
+  return { id: "user-1", studyAccess };
+}
+
+describe("getVisibleSampleIds", () => {
+  it("shows study admins every sample", () => {
+    const user = userWith({ studyId: 1, role: "STUDY_ADMIN" });
+    assert.strictEqual(getVisibleSampleIds(user, 1), null);
+  });
+
+  it("limits sample admins to their own samples", () => {
+    const user = userWith({
+      studyId: 1,
+      role: "SAMPLE_ADMIN",
+      sampleIds: [3, "4"],
+    });
+    assert.deepStrictEqual(getVisibleSampleIds(user, "1"), ["3", "4"]);
+  });
+
+  it("shows sample admins without samples none", () => {
+    const user = userWith({ studyId: 1, role: "SAMPLE_ADMIN" });
+    assert.deepStrictEqual(getVisibleSampleIds(user, 1), []);
+  });
+
+  // Deliberate: viewers read the whole study everywhere else, so their
+  // study-wide dataset files are not filtered either
+  it("shows viewers every sample", () => {
+    const user = userWith({ studyId: 1, role: "VIEWER", sampleIds: [3] });
+    assert.strictEqual(getVisibleSampleIds(user, 1), null);
+  });
+
+  it("shows nothing of studies the user has no access to", () => {
+    const user = userWith({ studyId: 1, role: "STUDY_ADMIN" });
+    assert.deepStrictEqual(getVisibleSampleIds(user, 2), []);
+  });
+});
+
+describe("getRestrictedSampleIds", () => {
+  it("lets viewers act on no samples", () => {
+    const user = userWith({ studyId: 1, role: "VIEWER" });
+    assert.deepStrictEqual(getRestrictedSampleIds(user, 1), []);
+  });
+});
@@ -0,0 +1,309 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveInRoot, resolveSandboxedPath } = require("../utils/fileSandbox");
+
+// Denied attempts are logged as security events; keep test output readable
+console.warn = () => {};
+
+/*
+ * Layout used throughout:
+ *
+ *   <tmp>/root/study/data/file.csv
+ *   <tmp>/root/study/link-file -> ../../outside/secret.txt
+ *   <tmp>/root/study/link-dir -> ../../outside
+ *   <tmp>/root/study/inner-link -> data
+ *   <tmp>/root/escape -> <tmp>/outside
+ *   <tmp>/outside/secret.txt
+ *   <tmp>/linked-root -> root
+ */
+let tmp;
+let root;
+
+before(() => {
+  tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "sandbox-")));
+  root = path.join(tmp, "root");
+  fs.mkdirSync(path.join(root, "study", "data"), { recursive: true });
+  fs.writeFileSync(path.join(root, "study", "data", "file.csv"), "a,b\n");
+  fs.mkdirSync(path.join(tmp, "outside"));
+  fs.writeFileSync(path.join(tmp, "outside", "secret.txt"), "secret");
+  fs.symlinkSync(
+    "../../outside/secret.txt",
+    path.join(root, "study", "link-file")
+  );
+  fs.symlinkSync("../../outside", path.join(root, "study", "link-dir"));
+  fs.symlinkSync("data", path.join(root, "study", "inner-link"));
+  fs.symlinkSync(path.join(tmp, "outside"), path.join(root, "escape"));
+  fs.symlinkSync("root", path.join(tmp, "linked-root"));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function assertStatus(status) {
+  return (error) => {
+    assert.strictEqual(error.status, status, error.message);
+    return true;
+  };
+}
+
+describe("resolveInRoot", () => {
+  it("resolves a plain relative path below the root", () => {
+    const resolved = resolveInRoot(root, "study/data/file.csv");
+    assert.strictEqual(
+      resolved.fullPath,
+      path.join(root, "study", "data", "file.csv")
+    );
+    assert.strictEqual(
+      resolved.relativePath,
+      path.join("study", "data", "file.csv")
+    );
+    assert.deepStrictEqual(resolved.segments, ["study", "data", "file.csv"]);
+  });
+
+  it("resolves the root itself for an empty path", () => {
+    assert.strictEqual(resolveInRoot(root, "").fullPath, root);
+    assert.strictEqual(resolveInRoot(root, ["", "."]).fullPath, root);
+  });
+
+  it("checks each part of an array on its own", () => {
+    const resolved = resolveInRoot(root, ["study", "data/file.csv"]);
+    assert.deepStrictEqual(resolved.segments, ["study", "data", "file.csv"]);
+    assert.throws(
+      () => resolveInRoot(root, ["study", "../other"]),
+      assertStatus(400)
+    );
+  });
+
+  for (const hostile of [
+    "..",
+    "../etc/passwd",
+    "study/../../etc/passwd",
+    "study/data/../..",
+    "study/./../..",
+    "..\\..\\etc\\passwd",
+    "study\\..\\..",
+    "...",
+    "study/.../x",
+  ]) {
+    it(`refuses parent references in ${JSON.stringify(hostile)}`, () => {
+      assert.throws(() => resolveInRoot(root, hostile), assertStatus(400));
+    });
+  }
+
+  for (const hostile of [
+    "\uff0e\uff0e/etc/passwd",
+    "study/\uff0e\uff0e/\uff0e\uff0e",
+    "\u2024\u2024/etc",
+    "study\uff0f..\uff0f..",
+    "study\uff3c..",
+  ]) {
+    it(`refuses traversal disguised as ${JSON.stringify(hostile)}`, () => {
+      assert.throws(() => resolveInRoot(root, hostile), assertStatus(400));
+    });
+  }
+
+  it("keeps percent-encoded traversal as a literal name", () => {
+    // Express has already decoded the URL; a second decode never happens
+    for (const encoded of ["%2e%2e/etc/passwd", "%2E%2E%2F..%2Fetc"]) {
+      const resolved = resolveInRoot(root, encoded);
+      assert.ok(resolved.fullPath.startsWith(root + path.sep));
+      assert.ok(!resolved.segments.includes(".."));
+    }
+  });
+
+  it("reads absolute paths relative to the root", () => {
+    const resolved = resolveInRoot(root, "/etc/passwd");
+    assert.strictEqual(resolved.fullPath, path.join(root, "etc", "passwd"));
+    assert.strictEqual(
+      resolveInRoot(root, "\\\\server\\share").fullPath,
+      path.join(root, "server", "share")
+    );
+    assert.strictEqual(
+      resolveInRoot(root, "//study//data").fullPath,
+      path.join(root, "study", "data")
+    );
+  });
+
+  for (const hostile of ["C:\\Windows", "c:/Windows", "/C:/Windows", "D:"]) {
+    it(`refuses the drive letter in ${JSON.stringify(hostile)}`, () => {
+      assert.throws(() => resolveInRoot(root, hostile), assertStatus(400));
+    });
+  }
+
+  for (const hostile of [
+    "study/file.csv\x00.png",
+    "\x00",
+    "study/\x00/..",
+    "study/line\nbreak",
+    "study/\x7f",
+  ]) {
+    it(`refuses the control character in ${JSON.stringify(hostile)}`, () => {
+      assert.throws(() => resolveInRoot(root, hostile), assertStatus(400));
+    });
+  }
+
+  it("refuses bidirectional overrides", () => {
+    assert.throws(
+      () => resolveInRoot(root, "study/report\u202efdp.exe"),
+      assertStatus(400)
+    );
+  });
+
+  it("refuses values that are not strings", () => {
+    for (const hostile of [null, undefined, {}, ["study", { a: 1 }]]) {
+      assert.throws(() => resolveInRoot(root, hostile), assertStatus(400));
+    }
+  });
+
+  it("does not look at the file system", () => {
+    const resolved = resolveInRoot(root, "escape/secret.txt");
+    assert.strictEqual(
+      resolved.fullPath,
+      path.join(root, "escape", "secret.txt")
+    );
+  });
+});
+
+describe("resolveSandboxedPath", () => {
+  it("resolves an existing file with its stats", async () => {
+    const resolved = await resolveSandboxedPath(root, "study/data/file.csv");
+    assert.strictEqual(
+      resolved.fullPath,
+      path.join(root, "study", "data", "file.csv")
+    );
+    assert.ok(resolved.stats.isFile());
+  });
+
+  it("resolves the root and directories", async () => {
+    assert.ok((await resolveSandboxedPath(root, "")).stats.isDirectory());
+    assert.ok((await resolveSandboxedPath(root, "study")).stats.isDirectory());
+  });
+
+  it("applies the checks of resolveInRoot", async () => {
+    for (const hostile of [
+      "../outside/secret.txt",
+      "study/\uff0e\uff0e/\uff0e\uff0e/outside",
+      "study/data/file.csv\x00",
+      "C:/outside",
+    ]) {
+      await assert.rejects(
+        resolveSandboxedPath(root, hostile),
+        assertStatus(400)
+      );
+    }
+  });
+
+  it("refuses a symbolic link as the first segment", async () => {
+    await assert.rejects(
+      resolveSandboxedPath(root, "escape"),
+      assertStatus(403)
+    );
+    await assert.rejects(
+      resolveSandboxedPath(root, "escape/secret.txt"),
+      assertStatus(403)
+    );
+  });
+
+  it("refuses a symbolic link in a middle segment", async () => {
+    await assert.rejects(
+      resolveSandboxedPath(root, "study/link-dir/secret.txt"),
+      assertStatus(403)
+    );
+  });
+
+  it("refuses a symbolic link as the last segment", async () => {
+    await assert.rejects(
+      resolveSandboxedPath(root, "study/link-file"),
+      assertStatus(403)
+    );
+  });
+
+  it("refuses symbolic links that stay inside the root", async () => {
+    await assert.rejects(
+      resolveSandboxedPath(root, "study/inner-link/file.csv"),
+      assertStatus(403)
+    );
+  });
+
+  it("refuses symbolic links even when missing files are allowed", async () => {
+    await assert.rejects(
+      resolveSandboxedPath(root, "study/link-dir/new.txt", {
+        allowMissing: true,
+      }),
+      assertStatus(403)
+    );
+  });
+
+  it("accepts a root that is itself a symbolic link", async () => {
+    const linkedRoot = path.join(tmp, "linked-root");
+    const resolved = await resolveSandboxedPath(
+      linkedRoot,
+      "study/data/file.csv"
+    );
+    assert.strictEqual(
+      resolved.fullPath,
+      path.join(linkedRoot, "study", "data", "file.csv")
+    );
+    assert.ok(resolved.stats.isFile());
+  });
+
+  it("still refuses links below a symbolic link root", async () => {
+    const linkedRoot = path.join(tmp, "linked-root");
+    await assert.rejects(
+      resolveSandboxedPath(linkedRoot, "study/link-file"),
+      assertStatus(403)
+    );
+    await assert.rejects(
+      resolveSandboxedPath(linkedRoot, "../outside/secret.txt"),
+      assertStatus(400)
+    );
+  });
+
+  it("fails with a 404 for a missing file", async () => {
+    await assert.rejects(
+      resolveSandboxedPath(root, "study/data/missing.csv"),
+      assertStatus(404)
+    );
+    await assert.rejects(
+      resolveSandboxedPath(root, "study/missing/deeper/file.csv"),
+      assertStatus(404)
+    );
+  });
+
+  it("fails with a 404 below a file", async () => {
+    await assert.rejects(
+      resolveSandboxedPath(root, "study/data/file.csv/child"),
+      assertStatus(404)
+    );
+  });
+
+  it("resolves a missing file with null stats when allowed", async () => {
+    const resolved = await resolveSandboxedPath(
+      root,
+      "study/missing/file.csv",
+      { allowMissing: true }
+    );
+    assert.strictEqual(
+      resolved.fullPath,
+      path.join(root, "study", "missing", "file.csv")
+    );
+    assert.strictEqual(resolved.stats, null);
+  });
+
+  it("handles a missing root", async () => {
+    const missingRoot = path.join(tmp, "no-such-root");
+    await assert.rejects(
+      resolveSandboxedPath(missingRoot, "study"),
+      assertStatus(404)
+    );
+    const resolved = await resolveSandboxedPath(missingRoot, "study", {
+      allowMissing: true,
+    });
+    assert.strictEqual(resolved.stats, null);
+    assert.strictEqual(resolved.fullPath, path.join(missingRoot, "study"));
+  });
+});
@@ -0,0 +1,126 @@
+const { ROLES } = require("../constants");
+
+/**
+ * Build the study/sample access clause for a user's study access, pushing
+ * its parameters onto `params`. Study admins see the whole study, sample
+ * admins only participants linked to their samples via fw_psy_sample_user.
+ *
+ * @param {Array} studyAccess - The studyAccess claims of the current user
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {Object} [columns] - Columns holding the study and user IDs
+ * @returns {string} SQL condition, "FALSE" if the user has no study access
+ */
+function buildAccessClause(
+  studyAccess,
+  params,
+  { studyColumn = "u.study_id", userColumn = "u.user_id" } = {}
+) {
+  const queryParts = studyAccess.map((access) => {
+    params.push(access.studyId);
+    const studyParam = `$${params.length}`;
+
+    if (ROLES[access.role] === ROLES.STUDY_ADMIN) {
+      return `(${studyColumn} = ${studyParam})`;
+    } else if (access.role === "SAMPLE_ADMIN") {
+      // Ensure sampleIds is an array and cast it to a PostgreSQL array
+      const sampleIdsArray = Array.isArray(access.sampleIds)
+        ? access.sampleIds.map((sampleId) => sampleId.toString())
+        : [];
+      params.push(sampleIdsArray);
+
+      // For sample admins, check against fw_psy_sample_user table
+      return `(${studyColumn} = ${studyParam} AND EXISTS (
+        SELECT 1 FROM fw_psy_sample_user su
+        WHERE su.user_id = ${userColumn}
+        AND su.sample_id::text = ANY($${params.length}::text[])
+      ))`;
+    }
+    return `(${studyColumn} = ${studyParam})`;
+  });
+
+  return queryParts.length > 0 ? `(${queryParts.join(" OR ")})` : "FALSE";
+}
+
+/**
+ * Build the access clause for fw_psy_dataset_file rows, pushing its
+ * parameters onto `params`. Sample admins see their samples' files plus
+ * study-wide files (sample_id IS NULL).
+ *
+ * @param {Array} studyAccess - The studyAccess claims of the current user
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {string} [alias] - Alias of the fw_psy_dataset_file table
+ * @returns {string} SQL condition, "FALSE" if the user has no study access
+ */
+function buildDatasetAccessClause(studyAccess, params, alias = "df") {
+  const queryParts = studyAccess.map((access) => {
+    params.push(access.studyId);
+    const studyParam = `$${params.length}`;
+
+    if (
+      access.role === "SAMPLE_ADMIN" &&
+      Array.isArray(access.sampleIds) &&
+      access.sampleIds.length > 0
+    ) {
+      params.push(access.sampleIds.map((sampleId) => sampleId.toString()));
+      return `(${alias}.study_id = ${studyParam} AND
+        (${alias}.sample_id IS NULL OR ${alias}.sample_id::text = ANY($${params.length}::text[])))`;
+    }
+    // Study admins, viewers and sample admins without sample IDs
+    return `(${alias}.study_id = ${studyParam})`;
+  });
+
+  return queryParts.length > 0 ? `(${queryParts.join(" OR ")})` : "FALSE";
+}
+
+/**
+ * Find the user's access entry for a study. Study IDs are compared as
+ * strings since they may arrive as numbers from JSON bodies.
+ */
+function getStudyAccess(user, studyId) {
+  return user.studyAccess.find(
+    (access) => String(access.studyId) === String(studyId)
+  );
+}
+
+/**
+ * Sample IDs (as strings) a user is restricted to within a study, or null
+ * if they can act on every sample, i.e. they are a STUDY_ADMIN.
+ */
+function getRestrictedSampleIds(user, studyId) {
+  const access = getStudyAccess(user, studyId);
+  if (!access) return [];
+  if (ROLES[access.role] === ROLES.STUDY_ADMIN) return null;
+  return Array.isArray(access.sampleIds)
+    ? access.sampleIds.map((sampleId) => sampleId.toString())
+    : [];
+}
+
+/**
+ * Sample IDs (as strings) whose data a user sees within a study, or null
+ * if they see the whole study. As in buildAccessClause, only sample
+ * admins are limited to their own samples; study admins and viewers see
+ * every sample.
+ */
+function getVisibleSampleIds(user, studyId) {
+  const access = getStudyAccess(user, studyId);
+  if (!access) return [];
+  if (access.role !== "SAMPLE_ADMIN") return null;
+  return getRestrictedSampleIds(user, studyId);
+}
+
+/**
+ * Check the user holds at least `minRole` on a study.
+ */
+function hasStudyRole(user, studyId, minRole) {
+  const access = getStudyAccess(user, studyId);
+  return !!access && ROLES[access.role] >= ROLES[minRole];
+}
+
+module.exports = {
+  buildAccessClause,
+  buildDatasetAccessClause,
+  getStudyAccess,
+  getRestrictedSampleIds,
+  getVisibleSampleIds,
+  hasStudyRole,
+};
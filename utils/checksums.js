@@ -0,0 +1,139 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { pipeline } = require("stream");
+
+// Files waiting for a background checksum, keyed by root and path
+const pendingChecksums = new Map();
+let checksumQueueRunning = false;
+
+/**
+ * SHA-256 of a file as a hex string, read as a stream.
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    pipeline(fs.createReadStream(filePath), hash, (error) =>
+      error ? reject(error) : resolve(hash.digest("hex"))
+    );
+  });
+}
+
+/**
+ * Whether a cached checksum row still describes the file on disk.
+ */
+function isChecksumFresh(row, stats) {
+  return (
+    !!row &&
+    Number(row.size) === stats.size &&
+    Number(row.mtime_ms) === Math.floor(stats.mtimeMs)
+  );
+}
+
+/**
+ * Cached checksum rows for several files under a root, as a Map keyed by
+ * path. Callers must check freshness against the file's stats.
+ */
+async function getCachedChecksums(pool, root, filePaths) {
+  const result = await pool.query(
+    `SELECT * FROM fw_psy_file_checksum
+    WHERE root = $1 AND file_path = ANY($2::text[])`,
+    [root, filePaths]
+  );
+  return new Map(result.rows.map((row) => [row.file_path, row]));
+}
+
+async function storeChecksum(pool, root, filePath, stats, sha256) {
+  await pool.query(
+    `INSERT INTO fw_psy_file_checksum (root, file_path, size, mtime_ms, sha256)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (root, file_path) DO UPDATE
+    SET size = EXCLUDED.size, mtime_ms = EXCLUDED.mtime_ms,
+      sha256 = EXCLUDED.sha256, computed_time = NOW()`,
+    [root, filePath, stats.size, Math.floor(stats.mtimeMs), sha256]
+  );
+}
+
+/**
+ * Hash a file and cache the result. The file is stat'ed again after
+ * hashing and the result discarded if it changed meanwhile.
+ */
+async function computeChecksum(pool, root, filePath, fullPath) {
+  const before = await fs.promises.stat(fullPath);
+  const sha256 = await hashFile(fullPath);
+  const after = await fs.promises.stat(fullPath);
+  if (before.size !== after.size || before.mtimeMs !== after.mtimeMs) {
+    return null;
+  }
+  await storeChecksum(pool, root, filePath, after, sha256);
+  return { sha256, stats: after };
+}
+
+/**
+ * Get the SHA-256 of a file, from the cache if size and mtime are
+ * unchanged, otherwise by hashing it now.
+ *
+ * @param {Pool} pool - pg pool
+ * @param {string} root - Storage root key, e.g. "datasets"
+ * @param {string} filePath - Path relative to the root, the cache key
+ * @param {string} fullPath - Absolute path of the file
+ * @returns {Promise<string|null>} Hex digest, null if the file kept changing
+ */
+async function getChecksum(pool, root, filePath, fullPath) {
+  const stats = await fs.promises.stat(fullPath);
+  const cached = await getCachedChecksums(pool, root, [filePath]);
+  const row = cached.get(filePath);
+  if (isChecksumFresh(row, stats)) {
+    return row.sha256;
+  }
+  const computed = await computeChecksum(pool, root, filePath, fullPath);
+  return computed ? computed.sha256 : null;
+}
+
+/**
+ * Queue a file to be hashed in the background, one file at a time, so
+ * listings never wait on hashing large files.
+ */
+function queueChecksum(pool, root, filePath, fullPath) {
+  const key = `${root}:${filePath}`;
+  if (pendingChecksums.has(key)) return;
+  pendingChecksums.set(key, { pool, root, filePath, fullPath });
+  if (!checksumQueueRunning) {
+    checksumQueueRunning = true;
+    setImmediate(runChecksumQueue);
+  }
+}
+
+async function runChecksumQueue() {
+  for (const [key, job] of pendingChecksums) {
+    try {
+      await computeChecksum(job.pool, job.root, job.filePath, job.fullPath);
+    } catch (error) {
+      console.error(`Error computing checksum for ${key}:`, error.message);
+    }
+    pendingChecksums.delete(key);
+  }
+  checksumQueueRunning = false;
+}
+
+/**
+ * Digest headers for a SHA-256 hex digest: Repr-Digest (RFC 9530) and the
+ * older Digest (RFC 3230) for clients that only know that one.
+ */
+function digestHeaders(sha256) {
+  const base64 = Buffer.from(sha256, "hex").toString("base64");
+  return {
+    "Repr-Digest": `sha-256=:${base64}:`,
+    Digest: `SHA-256=${base64}`,
+  };
+}
+
+module.exports = {
+  computeChecksum,
+  digestHeaders,
+  getCachedChecksums,
+  getChecksum,
+  hashFile,
+  isChecksumFresh,
+  queueChecksum,
+  storeChecksum,
+};
@@ -0,0 +1,292 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { once } = require("events");
+const { PassThrough } = require("stream");
+const { parse } = require("csv-parse");
+const ExcelJS = require("exceljs");
+const parquet = require("@dsnp/parquetjs");
+const createError = require("http-errors");
+
+const CONVERSION_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  tsv: {
+    contentType: "text/tab-separated-values; charset=utf-8",
+    extension: "tsv",
+  },
+  json: { contentType: "application/json", extension: "json" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  parquet: {
+    contentType: "application/vnd.apache.parquet",
+    extension: "parquet",
+  },
+};
+
+// Stored dataset formats that can be converted, by extension
+const SOURCE_FORMATS = {
+  ".csv": { format: "csv", delimiter: "," },
+  ".tsv": { format: "tsv", delimiter: "\t" },
+};
+
+// Excel refuses to open sheets with more rows than this
+const XLSX_MAX_ROWS = 1048576;
+
+/**
+ * Validate a requested conversion format. Throws a 400 error if unknown.
+ */
+function resolveConversionFormat(value) {
+  const format = String(value).toLowerCase();
+  if (!CONVERSION_FORMATS[format]) {
+    throw createError(
+      400,
+      `format must be one of: ${Object.keys(CONVERSION_FORMATS).join(", ")}`
+    );
+  }
+  return format;
+}
+
+/**
+ * The source format of a stored dataset file, null if it cannot be
+ * converted.
+ */
+function sourceFormatFor(filename) {
+  return SOURCE_FORMATS[path.extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Column names safe to use as JSON keys and Parquet fields: blank names
+ * are numbered and duplicates get a numeric suffix.
+ */
+function normaliseHeader(header) {
+  const seen = new Set();
+  return header.map((name, idx) => {
+    let column = String(name).trim() || `column_${idx + 1}`;
+    for (let n = 2; seen.has(column); n++) {
+      column = `${String(name).trim() || `column_${idx + 1}`}_${n}`;
+    }
+    seen.add(column);
+    return column;
+  });
+}
+
+// Numbers only where they survive the round trip, so IDs like "007" stay text
+function typedValue(value) {
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  return value.trim() !== "" && String(number) === value ? number : value;
+}
+
+function formatDelimitedValue(value, delimiter) {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+function formatDelimitedRow(values, delimiter) {
+  return (
+    values.map((v) => formatDelimitedValue(v, delimiter)).join(delimiter) +
+    "\r\n"
+  );
+}
+
+async function writeChunk(output, chunk) {
+  if (!output.write(chunk)) {
+    await once(output, "drain");
+  }
+}
+
+async function writeDelimited(records, columns, output, delimiter) {
+  await writeChunk(output, formatDelimitedRow(columns, delimiter));
+  for await (const record of records) {
+    await writeChunk(
+      output,
+      formatDelimitedRow(
+        columns.map((c, idx) => record[idx]),
+        delimiter
+      )
+    );
+  }
+  output.end();
+}
+
+function toObject(columns, record) {
+  return Object.fromEntries(
+    columns.map((column, idx) => [column, typedValue(record[idx])])
+  );
+}
+
+async function writeNdjson(records, columns, output) {
+  for await (const record of records) {
+    await writeChunk(output, JSON.stringify(toObject(columns, record)) + "\n");
+  }
+  output.end();
+}
+
+async function writeJson(records, columns, output) {
+  let first = true;
+  await writeChunk(output, "[");
+  for await (const record of records) {
+    const json = JSON.stringify(toObject(columns, record));
+    await writeChunk(output, `${first ? "\n" : ",\n"}${json}`);
+    first = false;
+  }
+  await writeChunk(output, "\n]\n");
+  output.end();
+}
+
+async function writeXlsx(records, columns, output) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useSharedStrings: false,
+    useStyles: false,
+  });
+  const sheet = workbook.addWorksheet("data");
+  sheet.addRow(columns).commit();
+  let rowCount = 1;
+  for await (const record of records) {
+    if (++rowCount > XLSX_MAX_ROWS) {
+      throw createError(
+        422,
+        `Dataset has more than the ${XLSX_MAX_ROWS} rows Excel supports`
+      );
+    }
+    sheet.addRow(columns.map((c, idx) => typedValue(record[idx]))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+async function writeParquet(records, columns, output) {
+  // Every column is optional text: a CSV carries no reliable types and
+  // guessing them from a sample could reject later rows
+  const schema = new parquet.ParquetSchema(
+    Object.fromEntries(
+      columns.map((column) => [column, { type: "UTF8", optional: true }])
+    )
+  );
+  const writer = await parquet.ParquetWriter.openStream(schema, output);
+  for await (const record of records) {
+    const row = {};
+    columns.forEach((column, idx) => {
+      if (record[idx] !== undefined && record[idx] !== "") {
+        row[column] = record[idx];
+      }
+    });
+    await writer.appendRow(row);
+  }
+  await writer.close();
+}
+
+const WRITERS = {
+  csv: (records, columns, output) =>
+    writeDelimited(records, columns, output, ","),
+  tsv: (records, columns, output) =>
+    writeDelimited(records, columns, output, "\t"),
+  json: writeJson,
+  ndjson: writeNdjson,
+  xlsx: writeXlsx,
+  parquet: writeParquet,
+};
+
+/**
+ * Path of the cached conversion of a file with the given checksum. The
+ * cache is keyed by content, so a changed dataset never hits a stale entry.
+ */
+function conversionCachePath(cacheDir, sha256, format) {
+  return path.join(
+    cacheDir,
+    `${sha256}.${CONVERSION_FORMATS[format].extension}`
+  );
+}
+
+/**
+ * Convert a CSV/TSV file, streaming the output to the response while it is
+ * also written to the conversion cache. The cache entry is only moved into
+ * place once the conversion has completed, so a failed or abandoned
+ * conversion never leaves a partial file behind.
+ *
+ * @param {Object} res - Express response, headers are set by the caller
+ * @param {Object} options
+ * @param {string} options.sourcePath - Absolute path of the stored file
+ * @param {string} options.delimiter - Delimiter of the stored file
+ * @param {string} options.format - Target format
+ * @param {string} options.cachePath - Where the converted file is cached
+ * @returns {Promise} Resolves once the conversion has finished or failed
+ */
+async function streamConversion(
+  res,
+  { sourcePath, delimiter, format, cachePath }
+) {
+  await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+  const tempPath = `${cachePath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+
+  const source = fs.createReadStream(sourcePath);
+  const records = source.pipe(
+    parse({ delimiter, bom: true, relax_column_count: true })
+  );
+  const output = new PassThrough();
+  const cacheFile = fs.createWriteStream(tempPath, { flags: "wx" });
+
+  // pipe() to both waits for the slower of the client and the disk
+  output.pipe(cacheFile);
+  output.pipe(res);
+
+  const abort = (error) => {
+    source.destroy();
+    records.destroy();
+    output.destroy(error);
+    cacheFile.destroy();
+  };
+  const onClose = () => {
+    if (!res.writableFinished) abort(createError(400, "Client disconnected"));
+  };
+  res.on("close", onClose);
+  source.on("error", abort);
+  cacheFile.on("error", abort);
+  // Errors are handled where the writer awaits the stream, this only
+  // stops an abort between writes from being an uncaught error event
+  output.on("error", () => {});
+
+  try {
+    const iterator = records[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    const columns = normaliseHeader(first.done ? [] : first.value);
+    const rest = { [Symbol.asyncIterator]: () => iterator };
+
+    await WRITERS[format](rest, columns, output);
+    if (!output.writableEnded) output.end();
+    if (!output.writableFinished) {
+      await once(output, "finish");
+    }
+    if (!cacheFile.writableFinished) {
+      await once(cacheFile, "finish");
+    }
+    await fs.promises.rename(tempPath, cachePath);
+  } catch (error) {
+    abort(error);
+    // Headers are already sent, the client sees a truncated download
+    if (!res.destroyed) res.destroy();
+    await fs.promises.unlink(tempPath).catch(() => {});
+    if (error.status !== 400) {
+      console.error(`Error converting ${sourcePath} to ${format}:`, error);
+    }
+  } finally {
+    res.off("close", onClose);
+  }
+}
+
+module.exports = {
+  CONVERSION_FORMATS,
+  conversionCachePath,
+  formatDelimitedRow,
+  resolveConversionFormat,
+  sourceFormatFor,
+  streamConversion,
+};
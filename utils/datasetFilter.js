@@ -0,0 +1,237 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { once } = require("events");
+const { parse } = require("csv-parse");
+const createError = require("http-errors");
+const config = require("../config");
+const { getCachedChecksums, storeChecksum } = require("./checksums");
+const { formatDelimitedRow, sourceFormatFor } = require("./datasetConversion");
+
+// Checksum cache key for filtered files under DATASET_FILTERED_CACHE_PATH
+const FILTERED_CHECKSUM_ROOT = "datasets-filtered";
+
+// Filtered files being written, so concurrent requests share the work
+const inFlight = new Map();
+const pendingFilters = new Map();
+let filterQueueRunning = false;
+
+function normaliseColumnName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * User codes of the participants in the given samples of a study, sorted
+ * so the same membership always produces the same cache key.
+ */
+async function getSampleUserCodes(pool, studyId, sampleIds) {
+  const result = await pool.query(
+    `SELECT DISTINCT u.user_code
+    FROM fw_psy_user u
+    INNER JOIN fw_psy_sample_user su ON su.user_id = u.user_id
+    WHERE u.study_id = $1
+    AND su.sample_id::text = ANY($2::text[])
+    ORDER BY u.user_code`,
+    [studyId, sampleIds]
+  );
+  return result.rows.map((row) => row.user_code);
+}
+
+/**
+ * Name of the filtered variant of a file. It depends on the source
+ * content and on who is in the samples, so a new dataset version or a
+ * change of sample membership produces a new file instead of serving a
+ * stale one.
+ */
+function filteredFileName(filename, sourceSha256, userCodes) {
+  const key = crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        sourceSha256,
+        config.files.datasets.participantColumns,
+        userCodes,
+      ])
+    )
+    .digest("hex");
+  return `${key}${path.extname(filename).toLowerCase()}`;
+}
+
+/**
+ * Write the header and the rows belonging to `userCodes` to `targetPath`,
+ * via a temp file so a partial result is never picked up. Returns the
+ * SHA-256 and stats of the written file.
+ */
+async function writeFilteredFile(sourcePath, targetPath, userCodes) {
+  const { delimiter } = sourceFormatFor(sourcePath);
+  const allowed = new Set(userCodes);
+  const columnNames =
+    config.files.datasets.participantColumns.map(normaliseColumnName);
+
+  await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+  const tempPath = `${targetPath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  const output = fs.createWriteStream(tempPath, { flags: "wx" });
+  const hash = crypto.createHash("sha256");
+  const write = async (values) => {
+    const chunk = formatDelimitedRow(values, delimiter);
+    hash.update(chunk);
+    if (!output.write(chunk)) await once(output, "drain");
+  };
+
+  const source = fs.createReadStream(sourcePath);
+  const records = source.pipe(
+    parse({ delimiter, bom: true, relax_column_count: true })
+  );
+  source.on("error", (error) => records.destroy(error));
+
+  try {
+    let column = -1;
+    for await (const record of records) {
+      if (column === -1) {
+        column = record.findIndex((name) =>
+          columnNames.includes(normaliseColumnName(name))
+        );
+        if (column === -1) {
+          throw createError(
+            422,
+            "Dataset file has no participant column to filter by sample"
+          );
+        }
+        await write(record);
+      } else if (allowed.has(record[column])) {
+        await write(record);
+      }
+    }
+    output.end();
+    await once(output, "finish");
+    await fs.promises.rename(tempPath, targetPath);
+  } catch (error) {
+    source.destroy();
+    output.destroy();
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  return {
+    sha256: hash.digest("hex"),
+    stats: await fs.promises.stat(targetPath),
+  };
+}
+
+/**
+ * Work out where the filtered variant of a file for `sampleIds` lives and
+ * whether it has already been written.
+ */
+async function locateFilteredFile(pool, { file, sourceSha256, sampleIds }) {
+  const userCodes = await getSampleUserCodes(pool, file.study_id, sampleIds);
+  const filename = filteredFileName(file.filename, sourceSha256, userCodes);
+  const filePath = path.join(config.files.datasets.filteredCachePath, filename);
+
+  const cached = (
+    await getCachedChecksums(pool, FILTERED_CHECKSUM_ROOT, [filename])
+  ).get(filename);
+  const existing =
+    cached && fs.existsSync(filePath)
+      ? {
+          filePath,
+          filename,
+          sha256: cached.sha256,
+          stats: await fs.promises.stat(filePath),
+        }
+      : null;
+
+  return { userCodes, filename, filePath, existing };
+}
+
+/**
+ * Look up an already written filtered variant without creating it.
+ * Returns null if it has not been written yet.
+ */
+async function findFilteredFile(pool, options) {
+  return (await locateFilteredFile(pool, options)).existing;
+}
+
+/**
+ * Get the variant of a study-wide dataset file that only holds rows of
+ * participants in `sampleIds`, writing it first if needed.
+ *
+ * @param {Pool} pool - pg pool
+ * @param {Object} options
+ * @param {Object} options.file - Dataset file row with study_id, filename
+ * @param {string} options.sourcePath - Absolute path of the stored file
+ * @param {string} options.sourceSha256 - Checksum of the stored file
+ * @param {Array} options.sampleIds - Samples whose rows are kept
+ * @returns {Promise<Object>} { filePath, filename, sha256, stats }
+ */
+async function getFilteredFile(pool, options) {
+  const { file, sourcePath, sampleIds } = options;
+  if (!sourceFormatFor(file.filename)) {
+    throw createError(
+      403,
+      "Only CSV and TSV study-wide files can be filtered by sample"
+    );
+  }
+
+  const { userCodes, filename, filePath, existing } = await locateFilteredFile(
+    pool,
+    options
+  );
+  if (existing) return existing;
+
+  if (!inFlight.has(filename)) {
+    inFlight.set(
+      filename,
+      (async () => {
+        console.log(`Filtering ${file.filename} to samples ${sampleIds}`);
+        const written = await writeFilteredFile(
+          sourcePath,
+          filePath,
+          userCodes
+        );
+        await storeChecksum(
+          pool,
+          FILTERED_CHECKSUM_ROOT,
+          filename,
+          written.stats,
+          written.sha256
+        );
+        return { filePath, filename, ...written };
+      })().finally(() => inFlight.delete(filename))
+    );
+  }
+  return inFlight.get(filename);
+}
+
+/**
+ * Queue a filtered variant to be written in the background, one file at
+ * a time, so listings never wait on filtering large files.
+ */
+function queueFilteredFile(pool, options) {
+  const key = `${options.file.filename}:${options.sourceSha256}:${options.sampleIds}`;
+  if (pendingFilters.has(key)) return;
+  pendingFilters.set(key, { pool, options });
+  if (!filterQueueRunning) {
+    filterQueueRunning = true;
+    setImmediate(runFilterQueue);
+  }
+}
+
+async function runFilterQueue() {
+  for (const [key, job] of pendingFilters) {
+    try {
+      await getFilteredFile(job.pool, job.options);
+    } catch (error) {
+      console.error(`Error filtering dataset file ${key}:`, error.message);
+    }
+    pendingFilters.delete(key);
+  }
+  filterQueueRunning = false;
+}
+
+module.exports = {
+  findFilteredFile,
+  getFilteredFile,
+  queueFilteredFile,
+};
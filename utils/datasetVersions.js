@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+/**
+ * Path a replaced dataset file is kept under, relative to the versions
+ * root: one folder per dataset file, one entry per version.
+ */
+function versionRelativePath(datasetFileId, versionId, filename) {
+  return path.join(
+    String(datasetFileId),
+    `${versionId}-${path.basename(filename)}`
+  );
+}
+
+function versionFullPath(relativePath) {
+  return path.join(config.files.datasets.versionsPath, relativePath);
+}
+
+/**
+ * Keep a copy of a file that is about to be replaced. Hard-linked when
+ * the versions folder is on the same file system, copied otherwise.
+ */
+async function preserveFile(sourcePath, relativePath) {
+  const target = versionFullPath(relativePath);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.promises.link(sourcePath, target);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.promises.copyFile(sourcePath, target, fs.constants.COPYFILE_EXCL);
+  }
+  return target;
+}
+
+/**
+ * Apply the retention policy: a version is kept while it is one of the
+ * newest `keepLast` versions of its file or was replaced less than
+ * `keepDays` days ago, and deleted otherwise.
+ *
+ * @param {Pool} pool - pg pool
+ * @param {Object} [scope] - { datasetFileId } or { studyIds } to limit
+ *   which files are pruned; everything if omitted
+ * @returns {Promise<Array>} The versions that were deleted
+ */
+async function pruneVersions(pool, { datasetFileId, studyIds } = {}) {
+  const { keepLast, keepDays } = config.files.datasets.versionRetention;
+  const params = [keepLast, keepDays];
+  const conditions = ["TRUE"];
+  if (datasetFileId !== undefined) {
+    params.push(String(datasetFileId));
+    conditions.push(`v.dataset_file_id = $${params.length}`);
+  }
+  if (studyIds) {
+    params.push(studyIds.map((id) => id.toString()));
+    conditions.push(`v.study_id = ANY($${params.length}::text[])`);
+  }
+
+  const result = await pool.query(
+    `SELECT version_id, dataset_file_id, version_path, replaced_time
+    FROM (
+      SELECT v.*, ROW_NUMBER() OVER (
+        PARTITION BY v.dataset_file_id
+        ORDER BY v.replaced_time DESC, v.version_id DESC
+      ) as rank
+      FROM fw_psy_dataset_file_version v
+      WHERE ${conditions.join(" AND ")}
+    ) ranked
+    WHERE rank > $1
+    AND replaced_time < NOW() - make_interval(days => $2)`,
+    params
+  );
+
+  const pruned = [];
+  for (const version of result.rows) {
+    try {
+      await fs.promises.unlink(versionFullPath(version.version_path));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Error pruning version ${version.version_id}:`, error);
+        continue;
+      }
+    }
+    await pool.query(
+      `DELETE FROM fw_psy_dataset_file_version WHERE version_id = $1`,
+      [version.version_id]
+    );
+    pruned.push(version);
+  }
+  if (pruned.length > 0) {
+    console.log(`Pruned ${pruned.length} dataset file versions`);
+  }
+  return pruned;
+}
+
+module.exports = {
+  preserveFile,
+  pruneVersions,
+  versionFullPath,
+  versionRelativePath,
+};
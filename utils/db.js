@@ -0,0 +1,28 @@
+/**
+ * Run `fn` inside a transaction on a client checked out of `pool`.
+ * Commits if `fn` resolves, rolls back and rethrows if it rejects.
+ *
+ * @param {Pool} pool - pg pool to check a client out of
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise} The value `fn` resolved with
+ */
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK").catch((rollbackError) => {
+      console.error("Error rolling back transaction:", rollbackError);
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  withTransaction,
+};
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const createError = require("http-errors");
+const config = require("../config");
+const { withTransaction } = require("./db");
+
+// Audience claim keeping link tokens apart from data access tokens
+const LINK_AUDIENCE = "psytools-download-link";
+
+// Links that can still be redeemed: not revoked or expired
+const LIVE_LINK_CONDITION = `revoked_time IS NULL AND expires_time > NOW()`;
+
+/**
+ * Read and validate expiresIn (seconds) and maxUses from a request body.
+ */
+function parseLinkOptions(body = {}) {
+  const { defaultExpiresIn, maxExpiresIn, maxUses } = config.downloadLinks;
+  const expiresIn =
+    body.expiresIn === undefined ? defaultExpiresIn : parseInt(body.expiresIn);
+  const uses = body.maxUses === undefined ? 1 : parseInt(body.maxUses);
+
+  if (!(expiresIn > 0 && expiresIn <= maxExpiresIn)) {
+    throw createError(
+      400,
+      `expiresIn must be between 1 and ${maxExpiresIn} seconds`
+    );
+  }
+  if (!(uses > 0 && uses <= maxUses)) {
+    throw createError(400, `maxUses must be between 1 and ${maxUses}`);
+  }
+  return { expiresIn, maxUses: uses };
+}
+
+/**
+ * Record a download link for a single file and sign a token for it. The
+ * caller must already have checked the user's access to the file.
+ *
+ * @param {Pool} pool - pg pool
+ * @param {Object} req - Express request, for the user and link options
+ * @param {Object} file - { studyId, fileType: "dataset"|
+ *   "dataset_filtered"|"study", datasetFileId, filePath } where filePath is
+ *   relative to the dataset, filtered dataset or study files root
+ * @returns {Promise<Object>} Link details including its URL
+ */
+async function createDownloadLink(
+  pool,
+  req,
+  { studyId, fileType, datasetFileId = null, filePath }
+) {
+  const { expiresIn, maxUses } = parseLinkOptions(req.body);
+  const linkId = crypto.randomUUID();
+  const expiresTime = new Date(Date.now() + expiresIn * 1000);
+
+  await pool.query(
+    `INSERT INTO fw_psy_download_link
+      (link_id, user_id, study_id, file_type, dataset_file_id, file_path,
+       max_uses, expires_time)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      linkId,
+      req.user.id,
+      studyId,
+      fileType,
+      datasetFileId === null ? null : datasetFileId.toString(),
+      filePath,
+      maxUses,
+      expiresTime.toISOString(),
+    ]
+  );
+
+  const token = jwt.sign({}, config.jwt.secret, {
+    jwtid: linkId,
+    audience: LINK_AUDIENCE,
+    expiresIn,
+  });
+
+  console.log("Issued download link:", {
+    linkId,
+    userId: req.user.id,
+    fileType,
+    filePath,
+    maxUses,
+  });
+
+  return {
+    link_id: linkId,
+    url: `${req.protocol}://${req.get("host")}/api/downloads/${token}`,
+    expires_time: expiresTime,
+    max_uses: maxUses,
+  };
+}
+
+/**
+ * Verify a link token and look up its link. Throws 401 for tokens that
+ * fail verification and 410 for revoked or expired links. A used-up link
+ * is returned, since downloads it was used for can still be resumed.
+ *
+ * @returns {Promise<Object>} The fw_psy_download_link row
+ */
+async function verifyDownloadLink(pool, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret, {
+      audience: LINK_AUDIENCE,
+    });
+  } catch (error) {
+    console.log("Download link verification failed:", error.message);
+    throw createError(401, "Invalid download link");
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM fw_psy_download_link
+    WHERE link_id = $1 AND ${LIVE_LINK_CONDITION}`,
+    [decoded.jti]
+  );
+  if (result.rows.length === 0) {
+    throw createError(410, "Download link has expired or been revoked");
+  }
+  return result.rows[0];
+}
+
+/**
+ * Record a response carrying the contents of a link's file. It uses up
+ * one of the link's downloads, unless it resumes a download the link was
+ * already used for: a range past the first byte of a link with a use.
+ * Throws 410 if the link is used up, or was revoked since it was verified.
+ *
+ * @param {Pool} pool - pg pool
+ * @param {Object} link - The fw_psy_download_link row
+ * @param {Object} req - Express request, for the client details
+ * @param {Object} range - { start, end } of the bytes being sent
+ * @returns {Promise<Object>} The updated fw_psy_download_link row
+ */
+async function recordDownloadLinkUse(pool, link, req, range) {
+  const counted = !(range.start > 0 && link.use_count > 0);
+  return withTransaction(pool, async (client) => {
+    const result = await client.query(
+      counted
+        ? `UPDATE fw_psy_download_link
+          SET use_count = use_count + 1
+          WHERE link_id = $1 AND ${LIVE_LINK_CONDITION}
+          AND use_count < max_uses
+          RETURNING *`
+        : `SELECT * FROM fw_psy_download_link
+          WHERE link_id = $1 AND ${LIVE_LINK_CONDITION}`,
+      [link.link_id]
+    );
+    if (result.rows.length === 0) {
+      throw createError(410, "Download link has expired or been revoked");
+    }
+
+    await client.query(
+      `INSERT INTO fw_psy_download_link_use
+        (link_id, ip_address, user_agent, range_start, counted)
+      VALUES ($1, $2, $3, $4, $5)`,
+      [
+        link.link_id,
+        req.ip,
+        req.get("user-agent") || null,
+        range.start > 0 ? range.start : null,
+        counted,
+      ]
+    );
+    return result.rows[0];
+  });
+}
+
+module.exports = {
+  createDownloadLink,
+  recordDownloadLinkUse,
+  verifyDownloadLink,
+};
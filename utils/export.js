@@ -0,0 +1,127 @@
+const { Transform, pipeline } = require("stream");
+const QueryStream = require("pg-query-stream");
+const createError = require("http-errors");
+
+// Rows fetched from the server-side cursor per round trip
+const BATCH_SIZE = 500;
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+};
+
+/**
+ * Pick the export format from `?format=` or, failing that, the Accept
+ * header. Defaults to CSV.
+ */
+function resolveExportFormat(req) {
+  if (req.query.format) {
+    const format = String(req.query.format).toLowerCase();
+    if (!FORMATS[format]) {
+      throw createError(
+        400,
+        `format must be one of: ${Object.keys(FORMATS).join(", ")}`
+      );
+    }
+    return format;
+  }
+
+  const accepted = req.accepts([
+    "text/csv",
+    "application/x-ndjson",
+    "application/ndjson",
+  ]);
+  return accepted && accepted.includes("ndjson") ? "ndjson" : "csv";
+}
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createCsvTransform() {
+  let columns = null;
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      let chunk = "";
+      if (!columns) {
+        // Header comes from the first row, so column order follows the query
+        columns = Object.keys(row);
+        chunk += columns.map(formatCsvValue).join(",") + "\r\n";
+      }
+      chunk += columns.map((column) => formatCsvValue(row[column])).join(",");
+      callback(null, chunk + "\r\n");
+    },
+  });
+}
+
+function createNdjsonTransform() {
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      callback(null, JSON.stringify(row) + "\n");
+    },
+  });
+}
+
+/**
+ * Stream the results of a query to the response as CSV or NDJSON.
+ * Rows are read through a server-side cursor so the result set is
+ * never held in memory, and backpressure from the client pauses the
+ * cursor. The pool client is released when the stream ends, fails or
+ * the client disconnects.
+ *
+ * @param {Pool} pool - pg pool to check a client out of
+ * @param {Object} res - Express response object
+ * @param {Object} options - { query, params, format, filename }
+ * @returns {Promise} Resolves once the export has finished or failed
+ */
+async function streamQueryExport(
+  pool,
+  res,
+  { query, params, format, filename }
+) {
+  const { contentType, extension } = FORMATS[format];
+  const client = await pool.connect();
+  const queryStream = client.query(
+    new QueryStream(query, params, { batchSize: BATCH_SIZE })
+  );
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${extension}"`
+  );
+
+  return new Promise((resolve) => {
+    pipeline(
+      queryStream,
+      format === "csv" ? createCsvTransform() : createNdjsonTransform(),
+      res,
+      (error) => {
+        // pipeline() has already destroyed the response at this point, so
+        // a failed export shows up to the client as a truncated download
+        if (error) {
+          console.error(`Error streaming ${filename} export:`, error);
+        }
+        // A client whose cursor was aborted mid-stream cannot be reused
+        client.release(error);
+        resolve();
+      }
+    );
+  });
+}
+
+module.exports = {
+  resolveExportFormat,
+  streamQueryExport,
+};
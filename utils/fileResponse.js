@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const rangeParser = require("range-parser");
+
+// Content types for the document formats served from study folders
+const CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".csv": "text/csv",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+// Formats that can be shown in the browser. Text formats are all sent as
+// plain text, so nothing in them is ever rendered as markup or run.
+const INLINE_CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".csv": "text/plain; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/plain; charset=utf-8",
+};
+
+// Inline responses are sandboxed: no scripts, forms, plugins or requests
+const INLINE_CSP =
+  "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox";
+// Browser PDF viewers refuse to run in a sandboxed document, so PDFs only
+// get the fetch restrictions
+const INLINE_PDF_CSP = "default-src 'none'; object-src 'self'";
+
+/**
+ * Content type for a file based on its extension.
+ */
+function contentTypeFor(filePath) {
+  return (
+    CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+/**
+ * Content type and headers for showing a file in the browser instead of
+ * downloading it, or null if its format is not shown inline.
+ *
+ * @returns {Object|null} { contentType, disposition, headers }
+ */
+function inlineResponseFor(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const contentType = INLINE_CONTENT_TYPES[extension];
+  if (!contentType) return null;
+  return {
+    contentType,
+    disposition: `inline; filename="${path.basename(filePath)}"`,
+    headers: {
+      "Content-Security-Policy":
+        extension === ".pdf" ? INLINE_PDF_CSP : INLINE_CSP,
+      "X-Content-Type-Options": "nosniff",
+    },
+  };
+}
+
+/**
+ * Strong ETag derived from a file's size and modification time.
+ */
+function fileEtag(stats) {
+  return `"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+}
+
+function parseEtagList(header) {
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+/**
+ * If-None-Match (weak comparison) takes precedence over If-Modified-Since.
+ */
+function isNotModified(req, etag, mtime) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    const tags = parseEtagList(ifNoneMatch);
+    return (
+      tags.includes("*") || tags.some((tag) => tag.replace(/^W\//, "") === etag)
+    );
+  }
+
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+  if (!isNaN(ifModifiedSince)) {
+    // HTTP dates have one second resolution
+    return Math.floor(mtime.getTime() / 1000) <= ifModifiedSince / 1000;
+  }
+  return false;
+}
+
+/**
+ * A Range request only applies if its If-Range validator still matches.
+ */
+function isRangeFresh(req, etag, mtime) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) return ifRange.trim() === etag;
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && Math.floor(mtime.getTime() / 1000) <= date / 1000;
+}
+
+/**
+ * Send a file with support for single byte ranges (206 Partial Content),
+ * a strong ETag, Last-Modified, conditional GET (304) and HEAD.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} filePath - Absolute path of the file to send
+ * @param {Object} options
+ * @param {string} options.contentType - Content-Type of the file
+ * @param {string} [options.disposition] - Content-Disposition header value
+ * @param {string} [options.etag] - ETag to use instead of size+mtime
+ * @param {fs.Stats} [options.stats] - Stats of the file, if already known
+ * @param {Object} [options.headers] - Extra headers describing the whole
+ *   file, e.g. digests, sent with every response
+ */
+async function sendFile(
+  req,
+  res,
+  filePath,
+  { contentType, disposition, etag, stats, headers = {} }
+) {
+  stats = stats || (await fs.promises.stat(filePath));
+  etag = etag || fileEtag(stats);
+
+  Object.entries(headers).forEach(([name, value]) => {
+    res.setHeader(name, value);
+  });
+
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", stats.mtime.toUTCString());
+  res.setHeader("Accept-Ranges", "bytes");
+  // Downloads are per-user, and byte ranges must not be re-encoded
+  res.setHeader("Cache-Control", "private, no-cache, no-transform");
+
+  if (isNotModified(req, etag, stats.mtime)) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+  res.status(200);
+
+  if (req.headers.range && isRangeFresh(req, etag, stats.mtime)) {
+    const ranges = rangeParser(stats.size, req.headers.range, {
+      combine: true,
+    });
+    if (ranges === -1) {
+      res.setHeader("Content-Range", `bytes */${stats.size}`);
+      return res.status(416).json({ error: "Range not satisfiable" });
+    }
+    // Malformed or multi-range requests get the whole file
+    if (ranges !== -2 && ranges.type === "bytes" && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206);
+      res.setHeader("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+    }
+  }
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Length", Math.max(0, end - start + 1));
+  if (disposition) {
+    res.setHeader("Content-Disposition", disposition);
+  }
+
+  if (req.method === "HEAD" || stats.size === 0) {
+    return res.end();
+  }
+
+  // Stream the file with appropriate error handling
+  const fileStream = fs.createReadStream(filePath, { start, end });
+
+  fileStream.on("error", (error) => {
+    console.error("Error streaming file:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Error streaming file" });
+    } else {
+      res.end();
+    }
+  });
+
+  res.on("close", () => fileStream.destroy());
+
+  // Pipe the file to the response
+  fileStream.pipe(res);
+}
+
+/**
+ * The bytes sendFile will send for a request, or null if it sends none:
+ * for HEAD, conditional (304) and unsatisfiable (416) requests. Lets
+ * use-limited links account for every response carrying file contents.
+ *
+ * @param {Object} req - Express request object
+ * @param {fs.Stats} stats - Stats of the file
+ * @param {string} [etag] - ETag passed to sendFile, if any
+ * @returns {Object|null} { start, end }
+ */
+function rangeToSend(req, stats, etag = fileEtag(stats)) {
+  if (req.method === "HEAD" || isNotModified(req, etag, stats.mtime)) {
+    return null;
+  }
+  const whole = { start: 0, end: stats.size - 1 };
+  if (!req.headers.range || !isRangeFresh(req, etag, stats.mtime)) {
+    return whole;
+  }
+  const ranges = rangeParser(stats.size, req.headers.range, { combine: true });
+  if (ranges === -1) return null;
+  // Malformed or multi-range requests get the whole file
+  if (ranges === -2 || ranges.type !== "bytes" || ranges.length !== 1) {
+    return whole;
+  }
+  return { start: ranges[0].start, end: ranges[0].end };
+}
+
+module.exports = {
+  contentTypeFor,
+  fileEtag,
+  inlineResponseFor,
+  rangeToSend,
+  sendFile,
+};
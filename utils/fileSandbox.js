@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const createError = require("http-errors");
+
+// Characters no stored file name contains: control characters and the
+// bidirectional overrides used to disguise file extensions
+const FORBIDDEN_CHARACTERS = /[\x00-\x1f\x7f\u202a-\u202e\u2066-\u2069]/;
+
+/**
+ * Log a denied file access attempt as a security event, with who made the
+ * request and what they asked for.
+ *
+ * @param {Object} [req] - Express request the attempt came in on
+ * @param {string} reason - Why access was denied
+ * @param {Object} [details] - Root and path the attempt was made against
+ */
+function logSecurityEvent(req = {}, reason, details = {}) {
+  console.warn(
+    "SECURITY: denied file access:",
+    JSON.stringify({
+      reason,
+      ...details,
+      userId: req.user && req.user.id,
+      serviceId: req.service && req.service.id,
+      ip: req.ip,
+      method: req.method,
+      url: req.originalUrl,
+      time: new Date().toISOString(),
+    })
+  );
+}
+
+function deny(req, status, reason, details) {
+  logSecurityEvent(req, reason, details);
+  return createError(
+    status,
+    status === 400 ? "Invalid path" : "Access to this path is not allowed"
+  );
+}
+
+/**
+ * Split a requested path into safe segments. Backslashes count as
+ * separators, names are NFC normalised and leading separators are
+ * ignored, so the path is always read relative to the root. Parent
+ * references, drive letters and control characters are refused rather
+ * than stripped, including `..` hidden behind Unicode compatibility
+ * characters such as fullwidth dots.
+ */
+function splitRequestedPath(requestedPath) {
+  if (typeof requestedPath !== "string" && typeof requestedPath !== "number") {
+    return { error: "path is not a string" };
+  }
+  const raw = String(requestedPath);
+  if (FORBIDDEN_CHARACTERS.test(raw)) {
+    return { error: "control character in path" };
+  }
+  if (/^[a-z]:/i.test(raw.replace(/^[\/\\]+/, ""))) {
+    return { error: "drive letter in path" };
+  }
+
+  const toSegments = (value) =>
+    value.split(/[\/\\]+/).filter((segment) => segment && segment !== ".");
+  const segments = toSegments(raw.normalize("NFC"));
+  const compatible = toSegments(raw.normalize("NFKC"));
+  if (
+    segments.length !== compatible.length ||
+    compatible.some((segment) => /^\.{2,}$/.test(segment)) ||
+    segments.some((segment) => /^\.{2,}$/.test(segment))
+  ) {
+    return { error: "parent directory reference in path" };
+  }
+  return { segments };
+}
+
+/**
+ * Resolve a path below `root` without touching the file system. The path
+ * may be given as several parts, each checked on its own, so a part can
+ * never reach into the one before it. Use it where a path is only
+ * computed, and resolveSandboxedPath before anything is read or written.
+ *
+ * @param {string} root - Directory the path must stay inside
+ * @param {string|Array} requestedPath - Path, or parts of it, relative
+ *   to the root, from a client or the database
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Request to log denied attempts against
+ * @returns {Object} { root, fullPath, relativePath, segments }
+ */
+function resolveInRoot(root, requestedPath, { req } = {}) {
+  const parts = Array.isArray(requestedPath) ? requestedPath : [requestedPath];
+  const segments = [];
+  for (const part of parts) {
+    const result = splitRequestedPath(part);
+    if (result.error) {
+      throw deny(req, 400, result.error, { root, path: parts.join("/") });
+    }
+    segments.push(...result.segments);
+  }
+
+  const resolvedRoot = path.resolve(root);
+  const fullPath = path.join(resolvedRoot, ...segments);
+  if (
+    fullPath !== resolvedRoot &&
+    !fullPath.startsWith(resolvedRoot + path.sep)
+  ) {
+    throw deny(req, 400, "path escapes root", { root, path: parts.join("/") });
+  }
+  return {
+    root: resolvedRoot,
+    fullPath,
+    relativePath: segments.join(path.sep),
+    segments,
+  };
+}
+
+/**
+ * Resolve a path below `root` for reading or writing. On top of the
+ * checks of resolveInRoot, every existing component is looked at on disk:
+ * symbolic links are refused, and the real path has to stay below the
+ * real path of the root.
+ *
+ * @param {string} root - Directory the path must stay inside
+ * @param {string|Array} requestedPath - Path, or parts of it, relative
+ *   to the root
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Request to log denied attempts against
+ * @param {boolean} [options.allowMissing] - Resolve paths that do not
+ *   exist (yet) instead of failing with a 404
+ * @returns {Promise<Object>} { root, fullPath, relativePath, segments,
+ *   stats } where stats is null for a missing path
+ */
+async function resolveSandboxedPath(root, requestedPath, options = {}) {
+  const { req, allowMissing = false } = options;
+  const resolved = resolveInRoot(root, requestedPath, { req });
+  const details = { root, path: resolved.relativePath };
+
+  let realRoot;
+  try {
+    realRoot = await fs.promises.realpath(resolved.root);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    if (!allowMissing) throw createError(404, "File not found");
+    return { ...resolved, stats: null };
+  }
+
+  let current = realRoot;
+  let stats = await fs.promises.lstat(current);
+  for (const segment of resolved.segments) {
+    current = path.join(current, segment);
+    try {
+      stats = await fs.promises.lstat(current);
+    } catch (error) {
+      if (error.code !== "ENOENT" && error.code !== "ENOTDIR") throw error;
+      if (!allowMissing) throw createError(404, "File not found");
+      return { ...resolved, stats: null };
+    }
+    if (stats.isSymbolicLink()) {
+      throw deny(req, 403, "symbolic link in path", details);
+    }
+  }
+
+  // Nothing above should let a path out, but a real path check is cheap
+  const realPath = await fs.promises.realpath(current);
+  if (realPath !== realRoot && !realPath.startsWith(realRoot + path.sep)) {
+    throw deny(req, 403, "real path escapes root", details);
+  }
+  return { ...resolved, stats };
+}
+
+module.exports = {
+  logSecurityEvent,
+  resolveInRoot,
+  resolveSandboxedPath,
+};
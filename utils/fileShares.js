@@ -0,0 +1,236 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const createError = require("http-errors");
+const config = require("../config");
+const { withTransaction } = require("./db");
+const { logSecurityEvent } = require("./fileSandbox");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Audience claim keeping share tokens apart from other tokens
+const SHARE_AUDIENCE = "psytools-file-share";
+
+// Shares that can still be used: not revoked, expired or used up
+const ACTIVE_SHARE_CONDITION = `revoked_time IS NULL
+  AND expires_time > NOW()
+  AND download_count < max_downloads`;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+const MAX_NOTE_LENGTH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [, salt, expected] = stored.split("$");
+  const hash = await scrypt(String(password), Buffer.from(salt, "hex"), 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, "hex"));
+}
+
+/**
+ * Read and validate expiresAt, maxDownloads, password and note from a
+ * request body. Throws a 400 error on invalid input.
+ */
+function parseShareOptions(body = {}) {
+  const { defaultExpiresDays, maxExpiresDays, defaultMaxDownloads } =
+    config.fileShares;
+  const { password, note } = body;
+
+  const expiresTime =
+    body.expiresAt === undefined
+      ? new Date(Date.now() + defaultExpiresDays * DAY_MS)
+      : new Date(body.expiresAt);
+  if (
+    isNaN(expiresTime.getTime()) ||
+    expiresTime <= new Date() ||
+    expiresTime > new Date(Date.now() + maxExpiresDays * DAY_MS)
+  ) {
+    throw createError(
+      400,
+      `expiresAt must be a date in the next ${maxExpiresDays} days`
+    );
+  }
+
+  const maxDownloads =
+    body.maxDownloads === undefined
+      ? defaultMaxDownloads
+      : parseInt(body.maxDownloads);
+  if (!(maxDownloads > 0 && maxDownloads <= config.fileShares.maxDownloads)) {
+    throw createError(
+      400,
+      `maxDownloads must be between 1 and ${config.fileShares.maxDownloads}`
+    );
+  }
+
+  if (
+    password !== undefined &&
+    password !== null &&
+    (typeof password !== "string" ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH)
+  ) {
+    throw createError(
+      400,
+      `password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`
+    );
+  }
+  if (
+    note !== undefined &&
+    note !== null &&
+    (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)
+  ) {
+    throw createError(
+      400,
+      `note must be a string of at most ${MAX_NOTE_LENGTH} characters`
+    );
+  }
+
+  return {
+    expiresTime,
+    maxDownloads,
+    password: password || null,
+    note: note || null,
+  };
+}
+
+/**
+ * Record a share link for a single study file and sign a token for it.
+ * The caller must already have checked the user may share the file.
+ *
+ * @param {Pool} pool - pg pool
+ * @param {Object} req - Express request, for the user and share options
+ * @param {Object} file - { studyId, filePath } where filePath is relative
+ *   to the study files root
+ * @returns {Promise<Object>} Share details including its URL
+ */
+async function createFileShare(pool, req, { studyId, filePath }) {
+  const { expiresTime, maxDownloads, password, note } = parseShareOptions(
+    req.body
+  );
+  const shareId = crypto.randomUUID();
+
+  await pool.query(
+    `INSERT INTO fw_psy_file_share
+      (share_id, created_by, study_id, file_path, note, password_hash,
+       max_downloads, expires_time)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      shareId,
+      req.user.id,
+      String(studyId),
+      filePath,
+      note,
+      password ? await hashPassword(password) : null,
+      maxDownloads,
+      expiresTime.toISOString(),
+    ]
+  );
+
+  const token = jwt.sign({}, config.jwt.secret, {
+    jwtid: shareId,
+    audience: SHARE_AUDIENCE,
+    expiresIn: Math.ceil((expiresTime.getTime() - Date.now()) / 1000),
+  });
+
+  console.log("Created file share:", {
+    shareId,
+    userId: req.user.id,
+    filePath,
+    maxDownloads,
+    passwordProtected: !!password,
+  });
+
+  return {
+    share_id: shareId,
+    url: `${req.protocol}://${req.get("host")}/api/shared/${token}`,
+    file_path: filePath,
+    note,
+    password_protected: !!password,
+    expires_time: expiresTime,
+    max_downloads: maxDownloads,
+  };
+}
+
+/**
+ * Verify a share token and its password, and look up its share. Throws
+ * 401 for tokens that fail verification and for missing or wrong
+ * passwords, and 410 for revoked, expired or used-up shares.
+ *
+ * @returns {Promise<Object>} The fw_psy_file_share row
+ */
+async function verifyFileShare(pool, token, req, { password } = {}) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret, {
+      audience: SHARE_AUDIENCE,
+    });
+  } catch (error) {
+    console.log("File share verification failed:", error.message);
+    throw createError(401, "Invalid share link");
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM fw_psy_file_share
+    WHERE share_id = $1 AND ${ACTIVE_SHARE_CONDITION}`,
+    [decoded.jti]
+  );
+  const share = result.rows[0];
+  if (!share) {
+    throw createError(410, "Share link has expired or been revoked");
+  }
+
+  if (share.password_hash) {
+    if (!password) {
+      throw createError(401, "Password required");
+    }
+    if (!(await verifyPassword(password, share.password_hash))) {
+      logSecurityEvent(req, "wrong file share password", {
+        shareId: share.share_id,
+      });
+      throw createError(401, "Wrong password");
+    }
+  }
+  return share;
+}
+
+/**
+ * Use up one of a verified share's downloads and record it. Throws 410
+ * if the share was used up or revoked since it was verified.
+ *
+ * @returns {Promise<Object>} The updated fw_psy_file_share row
+ */
+async function consumeFileShare(pool, share, req) {
+  return withTransaction(pool, async (client) => {
+    const updated = await client.query(
+      `UPDATE fw_psy_file_share
+      SET download_count = download_count + 1
+      WHERE share_id = $1 AND ${ACTIVE_SHARE_CONDITION}
+      RETURNING *`,
+      [share.share_id]
+    );
+    if (updated.rows.length === 0) {
+      throw createError(410, "Share link has expired or been revoked");
+    }
+
+    await client.query(
+      `INSERT INTO fw_psy_file_share_download
+        (share_id, ip_address, user_agent)
+      VALUES ($1, $2, $3)`,
+      [share.share_id, req.ip, req.get("user-agent") || null]
+    );
+    return updated.rows[0];
+  });
+}
+
+module.exports = {
+  consumeFileShare,
+  createFileShare,
+  verifyFileShare,
+};
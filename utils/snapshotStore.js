@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform, pipeline } = require("stream");
+const createError = require("http-errors");
+const config = require("../config");
+
+// Stored objects and manifests are made read-only once written
+const READ_ONLY = 0o444;
+
+function storeRoot() {
+  return config.files.datasets.snapshotsPath;
+}
+
+/**
+ * Path of a stored object, fanned out by the first two hex characters of
+ * its SHA-256 so no directory grows too large.
+ */
+function objectPath(sha256) {
+  return path.join(storeRoot(), "objects", sha256.slice(0, 2), sha256);
+}
+
+function manifestPath(snapshotId) {
+  return path.join(storeRoot(), "manifests", `${snapshotId}.json`);
+}
+
+/**
+ * Copy a file into the object store, hashing it on the way. Identical
+ * content is only stored once. Fails with a 409 if the file changes while
+ * it is being copied, so a snapshot never records a torn read.
+ *
+ * @param {string} sourcePath - Absolute path of the file to store
+ * @returns {Promise<Object>} { sha256, size }
+ */
+async function storeObject(sourcePath) {
+  const tempDir = path.join(storeRoot(), "tmp");
+  await fs.promises.mkdir(tempDir, { recursive: true });
+  const tempPath = path.join(tempDir, crypto.randomBytes(12).toString("hex"));
+
+  const before = await fs.promises.stat(sourcePath);
+  const hash = crypto.createHash("sha256");
+  try {
+    await new Promise((resolve, reject) => {
+      pipeline(
+        fs.createReadStream(sourcePath),
+        new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          },
+        }),
+        fs.createWriteStream(tempPath, { flags: "wx", mode: READ_ONLY }),
+        (error) => (error ? reject(error) : resolve())
+      );
+    });
+
+    const after = await fs.promises.stat(sourcePath);
+    if (after.size !== before.size || after.mtimeMs !== before.mtimeMs) {
+      throw createError(
+        409,
+        `${path.basename(sourcePath)} changed while it was being copied`
+      );
+    }
+
+    const sha256 = hash.digest("hex");
+    const target = objectPath(sha256);
+    if (fs.existsSync(target)) {
+      await fs.promises.unlink(tempPath);
+    } else {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.rename(tempPath, target);
+    }
+    return { sha256, size: after.size };
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Write a snapshot's manifest, refusing to replace an existing one.
+ * Returns the SHA-256 of the written manifest.
+ */
+async function writeManifest(snapshotId, manifest) {
+  const content = JSON.stringify(manifest, null, 2) + "\n";
+  const target = manifestPath(snapshotId);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.writeFile(target, content, {
+    flag: "wx",
+    mode: READ_ONLY,
+  });
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+module.exports = {
+  manifestPath,
+  objectPath,
+  storeObject,
+  writeManifest,
+};
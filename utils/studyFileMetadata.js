@@ -0,0 +1,185 @@
+const createError = require("http-errors");
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Validate study file metadata from a request body. Tags are trimmed,
+ * lower-cased and de-duplicated. Throws a 400 error on invalid input.
+ *
+ * @returns {Object} { title, description, tags, isCurrent }
+ */
+function parseMetadataInput(body = {}) {
+  const { title = null, description = null, tags = [], current } = body;
+
+  if (title !== null && typeof title !== "string") {
+    throw createError(400, "title must be a string");
+  }
+  if (title && title.length > MAX_TITLE_LENGTH) {
+    throw createError(
+      400,
+      `title must be at most ${MAX_TITLE_LENGTH} characters`
+    );
+  }
+  if (description !== null && typeof description !== "string") {
+    throw createError(400, "description must be a string");
+  }
+  if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    throw createError(
+      400,
+      `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+    );
+  }
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+    throw createError(400, "tags must be an array of strings");
+  }
+  const normalisedTags = [
+    ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+  ];
+  if (normalisedTags.length > MAX_TAGS) {
+    throw createError(400, `A file can have at most ${MAX_TAGS} tags`);
+  }
+  if (normalisedTags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw createError(400, `Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  if (current !== undefined && typeof current !== "boolean") {
+    throw createError(400, "current must be a boolean");
+  }
+
+  return {
+    title: title ? title.trim() : null,
+    description: description || null,
+    tags: normalisedTags,
+    isCurrent: current === true,
+  };
+}
+
+function formatMetadata(row) {
+  return {
+    title: row.title,
+    description: row.description,
+    tags: row.tags,
+    current: row.is_current,
+    updated_time: row.updated_time,
+    updated_by: row.updated_by,
+  };
+}
+
+/**
+ * Look up the metadata of several files of a study.
+ *
+ * @param {Pool} pool - pg pool
+ * @param {string} studyId - Study the files belong to
+ * @param {Array} filePaths - Paths relative to the study folder
+ * @returns {Promise<Map>} Metadata by file path, for files that have any
+ */
+async function getFileMetadata(pool, studyId, filePaths) {
+  if (filePaths.length === 0) return new Map();
+  const result = await pool.query(
+    `SELECT * FROM fw_psy_study_file_metadata
+    WHERE study_id = $1 AND file_path = ANY($2::text[])`,
+    [String(studyId), filePaths]
+  );
+  return new Map(
+    result.rows.map((row) => [row.file_path, formatMetadata(row)])
+  );
+}
+
+/**
+ * Paths of the files of a study that carry every one of `tags`.
+ *
+ * @returns {Promise<Set>} Paths relative to the study folder
+ */
+async function findTaggedPaths(pool, studyId, tags) {
+  const result = await pool.query(
+    `SELECT file_path FROM fw_psy_study_file_metadata
+    WHERE study_id = $1 AND tags @> $2::text[]`,
+    [String(studyId), tags]
+  );
+  return new Set(result.rows.map((row) => row.file_path));
+}
+
+/**
+ * Replace the metadata of a study file.
+ *
+ * @param {Pool} pool - pg pool
+ * @param {Object} file - { studyId, filePath } with filePath relative to
+ *   the study folder
+ * @param {Object} metadata - Output of parseMetadataInput
+ * @param {string} userId - User making the change
+ * @returns {Promise<Object>} The stored metadata
+ */
+async function setFileMetadata(pool, { studyId, filePath }, metadata, userId) {
+  const result = await pool.query(
+    `INSERT INTO fw_psy_study_file_metadata
+      (study_id, file_path, title, description, tags, is_current,
+       updated_time, updated_by)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7)
+    ON CONFLICT (study_id, file_path) DO UPDATE SET
+      title = EXCLUDED.title,
+      description = EXCLUDED.description,
+      tags = EXCLUDED.tags,
+      is_current = EXCLUDED.is_current,
+      updated_time = EXCLUDED.updated_time,
+      updated_by = EXCLUDED.updated_by
+    RETURNING *`,
+    [
+      String(studyId),
+      filePath,
+      metadata.title,
+      metadata.description,
+      metadata.tags,
+      metadata.isCurrent,
+      userId,
+    ]
+  );
+  return formatMetadata(result.rows[0]);
+}
+
+/**
+ * Move metadata along with a renamed file, or with everything below a
+ * renamed directory. Anything still recorded at the new path belongs to
+ * files that are gone, and is dropped.
+ *
+ * @param {Object} client - pg pool or client, e.g. inside a transaction
+ * @param {string} studyId - Study the files belong to
+ * @param {string} from - Old path relative to the study folder
+ * @param {string} to - New path relative to the study folder
+ */
+async function moveFileMetadata(client, studyId, from, to) {
+  await client.query(
+    `DELETE FROM fw_psy_study_file_metadata
+    WHERE study_id = $1
+    AND (file_path = $2 OR left(file_path, length($2) + 1) = $2 || '/')`,
+    [String(studyId), to]
+  );
+  await client.query(
+    `UPDATE fw_psy_study_file_metadata
+    SET file_path = $3 || substr(file_path, length($2) + 1)
+    WHERE study_id = $1
+    AND (file_path = $2 OR left(file_path, length($2) + 1) = $2 || '/')`,
+    [String(studyId), from, to]
+  );
+}
+
+/**
+ * Remove the metadata of a deleted file.
+ */
+async function deleteFileMetadata(client, studyId, filePath) {
+  await client.query(
+    `DELETE FROM fw_psy_study_file_metadata
+    WHERE study_id = $1 AND file_path = $2`,
+    [String(studyId), filePath]
+  );
+}
+
+module.exports = {
+  deleteFileMetadata,
+  findTaggedPaths,
+  getFileMetadata,
+  moveFileMetadata,
+  parseMetadataInput,
+  setFileMetadata,
+};
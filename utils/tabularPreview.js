@@ -0,0 +1,218 @@
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("csv-parse");
+const createError = require("http-errors");
+
+const DELIMITERS = {
+  ".csv": ",",
+  ".tsv": "\t",
+  ".tab": "\t",
+};
+
+// Longest single record we are willing to buffer while previewing
+const MAX_RECORD_BYTES = 1024 * 1024;
+
+// Most of a text file read for a preview
+const MAX_TEXT_PREVIEW_BYTES = 256 * 1024;
+
+/**
+ * Guess the delimiter of a file without a known extension from its first
+ * line, preferring tabs, then commas, then semicolons.
+ */
+async function sniffDelimiter(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const firstLine = buffer.toString("utf8", 0, bytesRead).split(/\r?\n/)[0];
+    const counts = ["\t", ",", ";"].map((delimiter) => ({
+      delimiter,
+      count: firstLine.split(delimiter).length - 1,
+    }));
+    const best = counts.sort((a, b) => b.count - a.count)[0];
+    if (best.count === 0) {
+      throw createError(415, "File does not look like delimited text");
+    }
+    return best.delimiter;
+  } finally {
+    await handle.close();
+  }
+}
+
+function inferValueType(value) {
+  if (value === "" || value === undefined) return null;
+  if (/^-?\d+$/.test(value)) return "integer";
+  if (/^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return "number";
+  if (/^(true|false)$/i.test(value)) return "boolean";
+  if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?/.test(value)) {
+    return isNaN(Date.parse(value))
+      ? "string"
+      : value.length > 10
+      ? "datetime"
+      : "date";
+  }
+  return "string";
+}
+
+function mergeTypes(a, b) {
+  if (a === null) return b;
+  if (b === null || a === b) return a;
+  const numeric = ["integer", "number"];
+  if (numeric.includes(a) && numeric.includes(b)) return "number";
+  const temporal = ["date", "datetime"];
+  if (temporal.includes(a) && temporal.includes(b)) return "datetime";
+  return "string";
+}
+
+/**
+ * Read the header and first `maxRows` rows of a CSV/TSV file, reading only
+ * as much of the file as needed. Column types are inferred from the rows
+ * read, and the total row count is extrapolated from their average size
+ * unless the whole file was read.
+ *
+ * @param {string} filePath - Absolute path of the file
+ * @param {Object} options - { maxRows }
+ * @returns {Promise<Object>} { delimiter, columns, rows, row_count, ... }
+ */
+async function previewDelimitedFile(filePath, { maxRows }) {
+  const ext = path.extname(filePath).toLowerCase();
+  const delimiter = DELIMITERS[ext] || (await sniffDelimiter(filePath));
+  const { size } = await fs.promises.stat(filePath);
+
+  return new Promise((resolve, reject) => {
+    const fileStream = fs.createReadStream(filePath);
+    const parser = parse({
+      delimiter,
+      bom: true,
+      info: true,
+      relax_column_count: true,
+      relax_quotes: true,
+      max_record_size: MAX_RECORD_BYTES,
+    });
+
+    let header = null;
+    let headerBytes = 0;
+    let lastBytes = 0;
+    const rows = [];
+    let finished = false;
+
+    const finish = (complete) => {
+      if (finished) return;
+      finished = true;
+      fileStream.destroy();
+      parser.destroy();
+
+      const columns = (header || []).map((name, idx) => {
+        let type = null;
+        let nullCount = 0;
+        rows.forEach((row) => {
+          const valueType = inferValueType(row[idx]);
+          if (valueType === null) nullCount++;
+          type = mergeTypes(type, valueType);
+        });
+        return { name, type: type || "empty", null_count: nullCount };
+      });
+
+      // Extrapolate from the average size of the rows read so far
+      const dataBytes = lastBytes - headerBytes;
+      const rowCount = complete
+        ? rows.length
+        : rows.length > 0 && dataBytes > 0
+        ? Math.round(((size - headerBytes) / dataBytes) * rows.length)
+        : null;
+
+      resolve({
+        delimiter,
+        size,
+        columns,
+        rows: rows.map((row) =>
+          Object.fromEntries(
+            columns.map((c, idx) => [c.name, row[idx] ?? null])
+          )
+        ),
+        row_count: rowCount,
+        row_count_exact: complete,
+        bytes_read: lastBytes,
+      });
+    };
+
+    parser.on("data", ({ record, info }) => {
+      if (finished) return;
+      if (!header) {
+        header = record;
+        headerBytes = info.bytes;
+        lastBytes = info.bytes;
+        return;
+      }
+      lastBytes = info.bytes;
+      rows.push(record);
+      if (rows.length >= maxRows) {
+        finish(false);
+      }
+    });
+    parser.on("end", () => finish(true));
+    parser.on("error", (error) => {
+      if (finished) return;
+      finished = true;
+      fileStream.destroy();
+      reject(createError(422, `Could not parse file: ${error.message}`));
+    });
+    fileStream.on("error", (error) => {
+      if (finished) return;
+      finished = true;
+      parser.destroy();
+      reject(error);
+    });
+
+    fileStream.pipe(parser);
+  });
+}
+
+/**
+ * Read the first `maxLines` lines of a text file, reading at most
+ * MAX_TEXT_PREVIEW_BYTES of it. Invalid UTF-8 is replaced rather than
+ * rejected, but files that look binary are refused with a 415.
+ *
+ * @param {string} filePath - Absolute path of the file
+ * @param {Object} options - { maxLines }
+ * @returns {Promise<Object>} { size, lines, truncated, bytes_read }
+ */
+async function previewTextFile(filePath, { maxLines }) {
+  const handle = await fs.promises.open(filePath, "r");
+  let size;
+  let buffer;
+  try {
+    ({ size } = await handle.stat());
+    buffer = Buffer.alloc(Math.min(size, MAX_TEXT_PREVIEW_BYTES));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    buffer = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  if (buffer.includes(0)) {
+    throw createError(415, "File does not look like text");
+  }
+
+  const complete = buffer.length === size;
+  const lines = buffer
+    .toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/);
+  if (complete ? lines[lines.length - 1] === "" : lines.length > 1) {
+    // Drop the empty string after a final newline, or a line cut off by
+    // the byte limit
+    lines.pop();
+  }
+
+  return {
+    size,
+    lines: lines.slice(0, maxLines),
+    truncated: !complete || lines.length > maxLines,
+    bytes_read: buffer.length,
+  };
+}
+
+module.exports = {
+  previewDelimitedFile,
+  previewTextFile,
+};
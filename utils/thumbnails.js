@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const createError = require("http-errors");
+const config = require("../config");
+
+// Thumbnail sizes (longest side, in pixels) that can be requested, so the
+// cache holds a bounded number of variants per image
+const THUMBNAIL_SIZES = [64, 128, 256, 512];
+const DEFAULT_THUMBNAIL_SIZE = 256;
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".gif"];
+
+// Refuse decompression bombs rather than decoding them
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+// Thumbnails being written, so concurrent requests share the work
+const inFlight = new Map();
+
+/**
+ * Read and validate the requested thumbnail size, or throw a 400 error.
+ */
+function parseThumbnailSize(value) {
+  if (value === undefined) return DEFAULT_THUMBNAIL_SIZE;
+  const size = parseInt(value);
+  if (!THUMBNAIL_SIZES.includes(size)) {
+    throw createError(400, `size must be one of ${THUMBNAIL_SIZES.join(", ")}`);
+  }
+  return size;
+}
+
+/**
+ * Name of a cached thumbnail. It depends on the file's size and
+ * modification time, so a replaced image never serves a stale thumbnail.
+ */
+function thumbnailFileName(sourceKey, stats, size) {
+  const key = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([sourceKey, stats.size, stats.mtimeMs, size]))
+    .digest("hex");
+  return `${key}.webp`;
+}
+
+/**
+ * Get a downscaled WebP thumbnail of an image, writing it to the
+ * thumbnail cache first if needed. Images are never enlarged.
+ *
+ * @param {string} sourcePath - Absolute path of the image
+ * @param {Object} options
+ * @param {string} options.sourceKey - Stable name of the image, e.g. its
+ *   path relative to the study files root
+ * @param {fs.Stats} options.stats - Stats of the image
+ * @param {number} options.size - One of THUMBNAIL_SIZES
+ * @returns {Promise<Object>} { filePath, stats }
+ */
+async function getThumbnail(sourcePath, { sourceKey, stats, size }) {
+  if (!IMAGE_EXTENSIONS.includes(path.extname(sourcePath).toLowerCase())) {
+    throw createError(415, "Thumbnails are only available for images");
+  }
+
+  const filename = thumbnailFileName(sourceKey, stats, size);
+  const filePath = path.join(config.files.study.thumbnailCachePath, filename);
+  if (fs.existsSync(filePath)) {
+    return { filePath, stats: await fs.promises.stat(filePath) };
+  }
+
+  if (!inFlight.has(filename)) {
+    inFlight.set(
+      filename,
+      (async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${crypto
+          .randomBytes(6)
+          .toString("hex")}.tmp`;
+        try {
+          await sharp(sourcePath, { limitInputPixels: MAX_INPUT_PIXELS })
+            .rotate()
+            .resize(size, size, { fit: "inside", withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toFile(tempPath);
+          await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+          await fs.promises.unlink(tempPath).catch(() => {});
+          // File system errors have a code; sharp fails with a plain
+          // Error on corrupt or unsupported input
+          if (error.code) throw error;
+          console.error(`Error creating thumbnail of ${sourceKey}:`, error);
+          throw createError(422, "Image could not be read");
+        }
+        console.log(`Created ${size}px thumbnail of ${sourceKey}`);
+        return { filePath, stats: await fs.promises.stat(filePath) };
+      })().finally(() => inFlight.delete(filename))
+    );
+  }
+  return inFlight.get(filename);
+}
+
+module.exports = {
+  getThumbnail,
+  parseThumbnailSize,
+};
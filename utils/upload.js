@@ -0,0 +1,207 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { pipeline } = require("stream");
+const busboy = require("busboy");
+const createError = require("http-errors");
+
+/**
+ * Reject file names that could escape their directory or hide themselves.
+ */
+function sanitizeFilename(filename) {
+  const name = (filename || "").normalize("NFC").trim();
+  if (
+    !name ||
+    name === "." ||
+    name === ".." ||
+    name.startsWith(".") ||
+    /[\/\\\x00-\x1f\x7f]/.test(name)
+  ) {
+    throw createError(400, `Invalid file name '${filename}'`);
+  }
+  return name;
+}
+
+/**
+ * Move a fully written temp file to its final name. Without overwrite the
+ * file is hard-linked into place, which fails atomically if the target
+ * already exists; with overwrite it is renamed over the target.
+ */
+async function commitTempFile(tempPath, finalPath, overwrite) {
+  if (overwrite) {
+    await fs.promises.rename(tempPath, finalPath);
+    return;
+  }
+  try {
+    await fs.promises.link(tempPath, finalPath);
+  } catch (error) {
+    if (error.code === "EEXIST") {
+      throw createError(
+        409,
+        `File '${path.basename(
+          finalPath
+        )}' already exists, pass overwrite=true to replace it`
+      );
+    }
+    throw error;
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
+  }
+}
+
+/**
+ * Stream a single multipart file upload from `req` into `targetDir`.
+ * The file is written to a hidden temp file next to its destination and
+ * only moved into place once it has been received completely, so readers
+ * never see a partial file.
+ *
+ * @param {Object} req - Express request with a multipart/form-data body
+ * @param {Object} options
+ * @param {string} options.targetDir - Directory the file is written into
+ * @param {number} options.maxFileSize - Maximum file size in bytes
+ * @param {Array} [options.allowedExtensions] - Lower-case extensions
+ *   including the dot; any extension is accepted if omitted
+ * @param {boolean} [options.overwrite] - Replace an existing file
+ * @param {string} [options.fieldName] - Form field holding the file
+ * @param {string} [options.filename] - Store under this name instead of
+ *   the name sent by the client
+ * @returns {Promise<Object>} { filename, path, size, fields }
+ */
+function receiveUpload(
+  req,
+  {
+    targetDir,
+    maxFileSize,
+    allowedExtensions,
+    overwrite = false,
+    fieldName = "file",
+    filename: storedFilename,
+  }
+) {
+  return new Promise((resolve, reject) => {
+    let bb;
+    try {
+      bb = busboy({
+        headers: req.headers,
+        limits: { files: 1, fileSize: maxFileSize },
+      });
+    } catch (error) {
+      return reject(createError(400, "Expected a multipart/form-data body"));
+    }
+
+    const fields = {};
+    let upload = null;
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      req.unpipe(bb);
+      req.resume();
+      if (!upload) return reject(error);
+
+      // Stop writing, then remove whatever reached the temp file
+      upload.file.destroy();
+      upload.done
+        .catch(() => {})
+        .then(() => fs.promises.unlink(upload.tempPath))
+        .catch(() => {})
+        .then(() => reject(error));
+    };
+
+    bb.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    bb.on("file", (name, file, info) => {
+      if (name !== fieldName || upload) {
+        file.resume();
+        return;
+      }
+
+      let filename;
+      try {
+        filename = sanitizeFilename(storedFilename || info.filename);
+        const ext = path.extname(filename).toLowerCase();
+        if (allowedExtensions && !allowedExtensions.includes(ext)) {
+          throw createError(
+            415,
+            `File type '${ext || "(none)"}' is not allowed`
+          );
+        }
+      } catch (error) {
+        file.resume();
+        return fail(error);
+      }
+
+      upload = {
+        filename,
+        finalPath: path.join(targetDir, filename),
+        tempPath: path.join(
+          targetDir,
+          `.${filename}.${crypto.randomBytes(6).toString("hex")}.upload`
+        ),
+        size: 0,
+        file,
+        done: null,
+      };
+
+      file.on("limit", () => {
+        fail(
+          createError(413, `File exceeds the ${maxFileSize} byte size limit`)
+        );
+      });
+
+      upload.done = fs.promises.mkdir(targetDir, { recursive: true }).then(
+        () =>
+          new Promise((resolveWrite, rejectWrite) => {
+            // The upload may already have failed while creating the dir
+            if (file.destroyed) {
+              return rejectWrite(createError(400, "Upload aborted"));
+            }
+            // The file stream stays paused until the target dir exists
+            file.on("data", (chunk) => {
+              upload.size += chunk.length;
+            });
+            pipeline(
+              file,
+              fs.createWriteStream(upload.tempPath, { flags: "wx" }),
+              (error) => (error ? rejectWrite(error) : resolveWrite())
+            );
+          })
+      );
+      upload.done.catch(fail);
+    });
+
+    bb.on("error", (error) => fail(createError(400, error.message)));
+
+    bb.on("close", async () => {
+      if (settled) return;
+      if (!upload) {
+        return fail(createError(400, `Missing '${fieldName}' file field`));
+      }
+      try {
+        await upload.done;
+        if (settled) return;
+        await commitTempFile(upload.tempPath, upload.finalPath, overwrite);
+        settled = true;
+        resolve({
+          filename: upload.filename,
+          path: upload.finalPath,
+          size: upload.size,
+          fields,
+        });
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    req.on("aborted", () => fail(createError(400, "Upload aborted")));
+    req.pipe(bb);
+  });
+}
+
+module.exports = {
+  receiveUpload,
+  sanitizeFilename,
+};